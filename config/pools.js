@@ -0,0 +1,30 @@
+// Pool manifest read by scripts/deploy.js. Point POOLS_CONFIG at another
+// .js or .json file to deploy a different set of pools.
+//
+// Every pool entry takes:
+//   name            pool name shown on chain
+//   stakingToken    address of the token users stake
+//   rewardToken     address of the token paid out as rewards, either token
+//                   may be 0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE for native ETH
+//   apy             yearly reward percentage (5 = 5%)
+//   validityPeriod  seconds the pool stays open once staking starts
+//   rewardAllowance reward tokens funded into the pool, in whole tokens
+//   start           call startStaking right after the pool is added
+//
+// timelockDelay is the delay in seconds applied to APY, fee and fee wallet
+// changes once the deployment is set up, leave it out to keep the current one.
+module.exports = {
+  feeWallet: process.env.FEE_WALLET,
+  timelockDelay: 2 * 24 * 60 * 60,
+  pools: [
+    // {
+    //   name: "USDT 30 days",
+    //   stakingToken: "0x...",
+    //   rewardToken: "0x...",
+    //   apy: 5,
+    //   validityPeriod: 30 * 24 * 60 * 60,
+    //   rewardAllowance: "1000",
+    //   start: true,
+    // },
+  ],
+};
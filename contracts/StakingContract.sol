@@ -4,24 +4,31 @@ pragma solidity ^0.8.10;
 /// @title Staking Contract
 /// @author Anns Khalid
 /// @notice Implements the logic for Staking Contract
-/// @dev Allows multiple users to stake tokens on multiple pools
+/// @dev Allows multiple users to stake tokens on multiple pools. Deployed
+/// behind a UUPS proxy, storage variables may only be appended in upgrades
 
-import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/security/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
 import "@openzeppelin/contracts/utils/math/SafeMath.sol";
 
-contract StakingContract is Ownable, ReentrancyGuard {
+contract StakingContract is
+    Initializable,
+    AccessControlUpgradeable,
+    ReentrancyGuardUpgradeable,
+    UUPSUpgradeable
+{
     /// @notice APY % can not be a null value
     error InvalidStakeAPY();
 
     /// @notice Reward allowance can not be a null value
     error InvalidAllowance();
 
-    /// @notice Already created pool for same token can not be created twice
-    error PoolAlreadyExists();
-
-    /// @notice Pool does not exist for the provided token
+    /// @notice Pool does not exist for the provided pool ID
     error PoolNotExists();
 
     /// @notice The staked amount can not be zero
@@ -42,21 +49,93 @@ contract StakingContract is Ownable, ReentrancyGuard {
     /// @notice Pool expire time reached
     error PoolEnded();
 
+    /// @notice Withdraw amount is more than the user has staked
+    error InsufficientStake();
+
+    /// @notice Pending reward is more than what is left of the pool reward budget
+    error RewardBudgetExhausted();
+
+    /// @notice Contract holds nothing above staked principal and owed rewards
+    error NoSurplus();
+
+    /// @notice Lock tier does not exist or its parameters are out of range
+    error InvalidLockTier();
+
+    /// @notice User already has a position in the pool under another lock tier
+    error TierMismatch();
+
+    /// @notice Unstake fee is above MAX_UNSTAKE_FEE
+    error InvalidFee();
+
+    /// @notice No fees are held in the contract for this token
+    error NoFeesAccrued();
+
+    /// @notice Rewards can only be compounded when rewardToken equals stakingToken
+    error NotCompoundable();
+
+    /// @notice No pending change is scheduled under this ID
+    error ChangeNotScheduled();
+
+    /// @notice The timelock delay of the change has not passed yet
+    error ChangeNotReady();
+
+    /// @notice Timelock delay is above MAX_TIMELOCK_DELAY
+    error InvalidDelay();
+
+    /// @notice The action is paused on this pool
+    error ActionPaused(uint256 poolId, Action action);
+
+    /// @notice Every pool is halted by the emergency pause
+    error EmergencyPaused();
+
+    /// @notice msg.value must equal the amount for native ETH and be 0 otherwise
+    error InvalidValue();
+
+    /// @notice The ETH payout was rejected by the receiver
+    error NativeTransferFailed();
+
+    /// @notice Rebasing tokens change balances without transfers and can not
+    /// back staked principal or reward budgets
+    error RebasingToken(address token);
+
     using SafeMath for uint256;
+    using SafeERC20 for IERC20;
+
+    bytes32 public constant POOL_MANAGER_ROLE = keccak256("POOL_MANAGER_ROLE"); //creates, starts and funds pools
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE"); //per pool and emergency pauses
+    bytes32 public constant TREASURY_ROLE = keccak256("TREASURY_ROLE"); //fee wallet, fee sweeps and surplus recovery
+
+    /// @notice Staking or reward token of pools holding native ETH
+    address public constant NATIVE_TOKEN = 0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE;
+
     address public feeWallet;
-    bool public stakingPaused;
-    bool public claimsPaused;
-    bool public unstakingPaused;
+    address public trustedForwarder; //ERC-2771 forwarder relaying user calls, unset disables relaying
+    /// @custom:oz-renamed-from stakingPaused
+    bool public emergencyPaused; //halts staking, claims and unstaking on every pool
+    /// @custom:oz-renamed-from claimsPaused
+    bool private __unusedClaimsPaused; //replaced by pausedActions
+    /// @custom:oz-renamed-from unstakingPaused
+    bool private __unusedUnstakingPaused; //replaced by pausedActions
     uint256 constant SEC_IN_YEAR = 365 * 24 * 60 * 60;
     uint256 constant HUNDERED = 100;
-    uint256 constant THOUSAND = 1000;
-    uint256 public UNSTAKE_FEE = 5;
+    uint256 constant PRECISION = 1e18;
+    uint256 constant BASIS_POINTS = 10000;
+    uint256 public constant MAX_TIER_MULTIPLIER = 50000; //5x
+    uint256 public constant MAX_TIER_PENALTY = 2500; //25%
+    uint256 public constant DEFAULT_UNSTAKE_FEE = 50; //0.5%
+    uint256 public constant MAX_UNSTAKE_FEE = 1000; //10%
+    uint256 public constant MAX_TIMELOCK_DELAY = 30 days;
+    uint256 public timelockDelay; //seconds between scheduling and executing a change
 
     struct User {
         uint256 stakedAmount;
         uint256 depositTime;
         uint256 lastClaimTime;
-        uint256 reward;
+        uint256 rewardPerTokenPaid; //pool rewardPerTokenStored at the last update
+        uint256 reward; //accrued and not yet claimed
+        uint256 tierId; //lock tier picked at stake time
+        uint256 unlockTime; //withdrawals before this pay the tier penalty
+        uint256 boostedAmount; //stakedAmount scaled by the tier multiplier
     }
 
     struct Pool {
@@ -68,227 +147,814 @@ contract StakingContract is Ownable, ReentrancyGuard {
         uint256 poolValidityPeriod; //unixtime-stamp
         bool stakingStarted;
         bool poolExists;
+        uint256 totalStaked;
+        uint256 rewardPerTokenStored; //scaled by PRECISION
+        uint256 lastUpdateTime;
+        uint256 totalBoosted; //sum of boostedAmount of every staker
+    }
+
+    struct LockTier {
+        uint256 lockDuration; //seconds a stake stays locked
+        uint256 multiplier; //reward multiplier in basis points, 10000 = 1x
+        uint256 penalty; //basis points of the withdrawn amount taken before unlock
+    }
+
+    struct FeeConfig {
+        uint256 feeBps; //unstake fee in basis points of the withdrawn amount
+        bool decay; //fee falls linearly to zero between staking start and pool expiry
+    }
+
+    enum Action {
+        Stake,
+        Claim,
+        Unstake
+    }
+
+    /// @dev Returned by getPoolState, the can* flags combine the pool
+    /// lifecycle with the pool and emergency pauses
+    struct PoolState {
+        bool started;
+        bool ended;
+        bool emergencyPaused;
+        bool stakePaused;
+        bool claimPaused;
+        bool unstakePaused;
+        bool canStake;
+        bool canClaim;
+        bool canUnstake;
+    }
+
+    enum ChangeType {
+        PoolAPY,
+        PoolFee,
+        FeeWallet,
+        TimelockDelay,
+        TrustedForwarder,
+        Upgrade
+    }
+
+    struct ScheduledChange {
+        ChangeType changeType;
+        uint256 poolId;
+        uint256 value; //APY, fee in basis points or delay in seconds
+        bool decay; //fee decay flag for PoolFee changes
+        address account; //new fee wallet, forwarder or implementation
+        uint256 eta; //earliest execution time, zero once executed or cancelled
+    }
+
+    struct RewardFunding {
+        uint256 rewardBudget; //reward tokens funded into the pool
+        uint256 rewardsPaid; //reward tokens paid out to stakers
+        uint256 rewardsAccrued; //rewards earned by all stakers up to the last update
     }
 
     /* ========== STORAGE ========== */
 
-    mapping(address => Pool) public pools; //stakingToken => Pool{}
-    mapping(address => mapping(address => User)) public users; // user => token => userStruct{}
+    uint256 public poolCount; //pool IDs run from 0 to poolCount - 1
+    mapping(uint256 => Pool) public pools; //poolId => Pool{}
+    mapping(address => mapping(uint256 => User)) public users; // user => poolId => userStruct{}
+    mapping(uint256 => RewardFunding) public poolFunding; //poolId => RewardFunding{}
+    mapping(uint256 => LockTier[]) public lockTiers; //poolId => tiers, tier 0 has no lock
+    mapping(uint256 => FeeConfig) public poolFees; //poolId => FeeConfig{}
+    mapping(address => uint256) public accruedFees; //token => fees held while feeWallet is unset
+    uint256 public scheduledChangeCount; //change IDs run from 0 to scheduledChangeCount - 1
+    mapping(uint256 => ScheduledChange) public scheduledChanges; //changeId => ScheduledChange{}
+    mapping(uint256 => mapping(Action => bool)) public pausedActions; //poolId => action => paused
+    mapping(address => bool) public rebasingTokens; //token => refused by addPool
+    address public upgradeImplementation; //implementation an executed Upgrade change allows
 
     /* ========== EVENTS ========== */
 
-    event Staked(address indexed user, address indexed token, uint256 amount);
-    event UnStaked(address indexed user, address indexed token, uint256 amount);
+    event Staked(
+        address indexed user,
+        uint256 indexed poolId,
+        uint256 amount
+    );
+    event UnStaked(
+        address indexed user,
+        uint256 indexed poolId,
+        uint256 amount, //withdrawn from the stake
+        uint256 netAmount //sent to the user after the unstake fee
+    );
     event RewardPaid(
         address indexed user,
-        address indexed token,
+        uint256 indexed poolId,
+        uint256 amount
+    );
+    event Compounded(
+        address indexed user,
+        uint256 indexed poolId,
+        uint256 amount
+    );
+    event EmergencyWithdraw(
+        address indexed user,
+        uint256 indexed poolId,
         uint256 amount
     );
     event PoolAdded(
+        uint256 indexed poolId,
         string poolName,
-        address token,
         uint256 stakeAPY,
         address stakingToken,
         address rewardToken,
         uint256 poolValidityPeriod //days
     );
-    event PoolUpdated(address token, uint256 newRewardPercentage);
+    event PoolUpdated(uint256 poolId, uint256 newRewardPercentage);
+    event RewardAdded(uint256 indexed poolId, uint256 amount);
+    event LockTierAdded(
+        uint256 indexed poolId,
+        uint256 tierId,
+        uint256 lockDuration,
+        uint256 multiplier,
+        uint256 penalty
+    );
+    event PoolFeeUpdated(uint256 indexed poolId, uint256 feeBps, bool decay);
+    event FeeCharged(
+        address indexed user,
+        uint256 indexed poolId,
+        address token,
+        uint256 fee, //unstake fee
+        uint256 penalty //lock tier penalty
+    );
+    event FeesSwept(address indexed token, address indexed to, uint256 amount);
+    event TrustedForwarderUpdated(address forwarder);
+    event RebasingTokenFlagged(address indexed token, bool flagged);
+    event FeeWalletUpdated(address feeWallet);
+    event TimelockDelayUpdated(uint256 delay);
+    event ChangeScheduled(
+        uint256 indexed changeId,
+        ChangeType changeType,
+        uint256 poolId,
+        uint256 value,
+        bool decay,
+        address account,
+        uint256 eta
+    );
+    event PauseChanged(uint256 indexed poolId, Action action, bool paused);
+    event EmergencyPauseChanged(bool paused);
+    event ChangeExecuted(uint256 indexed changeId);
+    event ChangeCancelled(uint256 indexed changeId);
+    event SurplusRecovered(
+        address indexed asset,
+        address indexed to,
+        uint256 amount
+    );
 
-    constructor() Ownable() {}
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    /// @notice Sets up the proxy in place of a constructor
+    /// @dev The deployer starts with every role, hand them out and renounce
+    /// what is not needed once the contract is set up
+    function initialize() external initializer {
+        __AccessControl_init();
+        __ReentrancyGuard_init();
+        __UUPSUpgradeable_init();
+
+        _grantRole(DEFAULT_ADMIN_ROLE, _msgSender());
+        _grantRole(POOL_MANAGER_ROLE, _msgSender());
+        _grantRole(PAUSER_ROLE, _msgSender());
+        _grantRole(TREASURY_ROLE, _msgSender());
+    }
 
     /* ========== MODIFIERS ========== */
 
-    modifier stakingStarted(address token) {
-        if (pools[token].stakingStarted) {
+    modifier whenStakingNotStarted(uint256 poolId) {
+        if (pools[poolId].stakingStarted) {
             revert StakingStarted();
         }
         _;
     }
 
-    modifier stakingNotStarted(address token) {
-        if (!pools[token].stakingStarted) {
+    modifier whenStakingStarted(uint256 poolId) {
+        if (!pools[poolId].stakingStarted) {
             revert StakingNotStarted();
         }
         _;
     }
 
-    modifier whenNotPaused() {
-        require(!stakingPaused, "Staking is paused");
+    modifier whenNotPaused(uint256 poolId, Action action) {
+        checkNotPaused(poolId, action);
         _;
     }
 
-    modifier whenClaimsNotPaused() {
-        require(!claimsPaused, "Claims are paused");
-        _;
+    /// @dev Kept out of line like checkNotPaused, most pool functions start with it
+    function checkPoolExists(uint256 poolId) internal view {
+        if (!pools[poolId].poolExists) {
+            revert PoolNotExists();
+        }
     }
 
-    modifier whenUnstakingNotPaused() {
-        require(!unstakingPaused, "Unstaking is paused");
-        _;
+    /// @dev Kept out of the modifier so it is not inlined at every use
+    function checkNotPaused(uint256 poolId, Action action) internal view {
+        if (emergencyPaused) {
+            revert EmergencyPaused();
+        }
+        if (pausedActions[poolId][action]) {
+            revert ActionPaused(poolId, action);
+        }
     }
 
+    /// @notice Opens the pool, its validity period runs from now on
+    /// @dev A pool starts once, use setPaused to halt staking afterwards
     function startStaking(
-        address token
-    ) external onlyOwner stakingStarted(token) {
-        Pool storage pool = pools[token];
+        uint256 poolId
+    ) external onlyRole(POOL_MANAGER_ROLE) whenStakingNotStarted(poolId) {
+        checkPoolExists(poolId);
+        Pool storage pool = pools[poolId];
 
         pool.stakingStartTime = block.timestamp;
         pool.poolValidityPeriod += block.timestamp; //from the day staking started + validityDays
         pool.stakingStarted = true;
+        pool.lastUpdateTime = block.timestamp; //rewards accrue from here on
+    }
+
+    /// @notice Pauses or resumes one action on one pool
+    function setPaused(
+        uint256 poolId,
+        Action action,
+        bool paused
+    ) external onlyRole(PAUSER_ROLE) {
+        checkPoolExists(poolId);
+        pausedActions[poolId][action] = paused;
+        emit PauseChanged(poolId, action, paused);
     }
 
-    function pauseStaking(
-        address token
-    ) external onlyOwner stakingNotStarted(token) {
-        Pool storage pool = pools[token];
-        pool.stakingStarted = false;
+    /// @notice Halts or resumes staking, claims and unstaking on every pool,
+    /// on top of the per pool pauses
+    function setEmergencyPause(bool paused) external onlyRole(PAUSER_ROLE) {
+        emergencyPaused = paused;
+        emit EmergencyPauseChanged(paused);
     }
 
-    function pauseClaims() external onlyOwner {
-        claimsPaused = true;
+    /// @notice Flags a rebasing token addPool does not detect on its own
+    /// @dev The flag is only checked when pools are added, pools already
+    /// using the token keep working and are paused with setPaused if needed
+    function setRebasingToken(
+        address token,
+        bool flagged
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        rebasingTokens[token] = flagged;
+        emit RebasingTokenFlagged(token, flagged);
     }
 
-    function startClaims() external onlyOwner {
-        claimsPaused = false;
+    /// @dev Only the admin can point the proxy at a new implementation, and
+    /// only at the one an executed Upgrade change allowed
+    function _authorizeUpgrade(
+        address newImplementation
+    ) internal override onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (newImplementation != upgradeImplementation) {
+            revert ChangeNotScheduled();
+        }
+        delete upgradeImplementation;
     }
 
-    // it will halt all stakings
-    function pauseUnstaking() external onlyOwner {
-        unstakingPaused = true;
+    /// @notice ERC-2771 check used by relayers to detect forwarder support
+    function isTrustedForwarder(address forwarder) public view returns (bool) {
+        return forwarder != address(0) && forwarder == trustedForwarder;
     }
 
-    function startUnstaking() external onlyOwner {
-        unstakingPaused = false;
+    /// @dev Calls from the trusted forwarder carry the original sender in
+    /// the last 20 bytes of calldata, same as OpenZeppelin ERC2771Context
+    function _msgSender() internal view override returns (address sender) {
+        if (isTrustedForwarder(msg.sender) && msg.data.length >= 20) {
+            assembly {
+                sender := shr(96, calldataload(sub(calldatasize(), 20)))
+            }
+        } else {
+            return super._msgSender();
+        }
     }
 
-    function setFeeWallet(address _feeWallet) external onlyOwner {
-        feeWallet = _feeWallet;
+    function _msgData() internal view override returns (bytes calldata) {
+        if (isTrustedForwarder(msg.sender) && msg.data.length >= 20) {
+            return msg.data[:msg.data.length - 20];
+        } else {
+            return super._msgData();
+        }
     }
 
+    /// @notice Stakes under the lock tier of the user's current position, or
+    /// under the unlocked tier 0 when the user has no position yet
     function stake(
-        address token,
+        uint256 poolId,
         uint256 amount
-    ) public stakingNotStarted(token) {
+    ) external payable nonReentrant {
+        User storage account = users[_msgSender()][poolId];
+        _stake(poolId, amount, account.stakedAmount > 0 ? account.tierId : 0);
+    }
+
+    /// @notice Same as stake, with an EIP-2612 permit instead of a prior approve
+    /// @dev A failing permit is ignored so a permit already submitted by
+    /// someone else does not block the stake, transferFrom still needs the allowance
+    function stakeWithPermit(
+        uint256 poolId,
+        uint256 amount,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external nonReentrant {
+        try
+            IERC20Permit(pools[poolId].stakingToken).permit(
+                _msgSender(),
+                address(this),
+                amount,
+                deadline,
+                v,
+                r,
+                s
+            )
+        {} catch {}
+
+        User storage account = users[_msgSender()][poolId];
+        _stake(poolId, amount, account.stakedAmount > 0 ? account.tierId : 0);
+    }
+
+    /// @notice Stakes under the given lock tier
+    /// @dev Every stake locks the whole position again until now + lockDuration,
+    /// capped at the pool expiry
+    function stakeLocked(
+        uint256 poolId,
+        uint256 amount,
+        uint256 tierId
+    ) external payable nonReentrant {
+        User storage account = users[_msgSender()][poolId];
+        if (account.stakedAmount > 0 && account.tierId != tierId) {
+            revert TierMismatch();
+        }
+        _stake(poolId, amount, tierId);
+    }
+
+    function _stake(
+        uint256 poolId,
+        uint256 amount,
+        uint256 tierId
+    )
+        internal
+        whenStakingStarted(poolId)
+        whenNotPaused(poolId, Action.Stake)
+    {
         if (amount <= 0) {
             revert InvalidStakeAmount();
         }
-        if (!pools[token].poolExists) {
-            revert PoolNotExists();
-        }
-        if (block.timestamp >= pools[token].poolValidityPeriod) {
+        checkPoolExists(poolId);
+        if (block.timestamp >= pools[poolId].poolValidityPeriod) {
             revert PoolEnded();
         }
+        if (tierId >= lockTiers[poolId].length) {
+            revert InvalidLockTier();
+        }
 
-        //If user already staked tokens
-        if (users[msg.sender][token].stakedAmount > 0) {
-            updateRewards(msg.sender, token);
+        //settle rewards earned on the previous stake before it grows
+        updateRewards(_msgSender(), poolId);
+
+        //tokens taking a transfer fee deliver less than amount
+        amount = pullToken(pools[poolId].stakingToken, amount);
+        if (amount == 0) {
+            revert InvalidStakeAmount();
         }
 
-        IERC20(token).transferFrom(msg.sender, address(this), amount);
+        User storage account = users[_msgSender()][poolId];
+        uint256 unlockTime = block.timestamp.add(
+            lockTiers[poolId][tierId].lockDuration
+        );
 
-        users[msg.sender][token].depositTime = block.timestamp;
-        users[msg.sender][token].lastClaimTime = block.timestamp;
-        users[msg.sender][token].stakedAmount += amount; //previouslyStaked + NewStakedAmount = StakedAmount
+        account.depositTime = block.timestamp;
+        account.stakedAmount += amount; //previouslyStaked + NewStakedAmount = StakedAmount
+        account.tierId = tierId;
+        account.unlockTime = unlockTime < pools[poolId].poolValidityPeriod
+            ? unlockTime
+            : pools[poolId].poolValidityPeriod;
+        pools[poolId].totalStaked += amount;
+        updateBoostedAmount(_msgSender(), poolId);
 
-        emit Staked(msg.sender, token, amount);
+        emit Staked(_msgSender(), poolId, amount);
     }
 
     function calculateRewardPerSecond(
         address user,
-        address token
+        uint256 poolId
     ) public view returns (uint256) {
-        Pool storage pool = pools[token];
-        if (!pool.poolExists) {
-            revert PoolNotExists();
-        }
+        checkPoolExists(poolId);
+        Pool storage pool = pools[poolId];
         uint256 rewardPercentage = pool.stakeAPY;
         return
-            users[user][token]
-                .stakedAmount
+            users[user][poolId]
+                .boostedAmount
                 .mul(rewardPercentage)
                 .div(HUNDERED)
                 .div(SEC_IN_YEAR);
     }
 
-    function updateRewards(address user, address token) internal {
-        uint256 currentTime = block.timestamp;
-        uint256 lastClaimTime = users[user][token].lastClaimTime;
-        uint256 elapsedTime = currentTime.sub(lastClaimTime);
+    /// @notice Latest timestamp rewards are paid for, capped at the pool expiry
+    function lastTimeRewardApplicable(
+        uint256 poolId
+    ) public view returns (uint256) {
+        uint256 poolEnd = pools[poolId].poolValidityPeriod;
+        return block.timestamp < poolEnd ? block.timestamp : poolEnd;
+    }
+
+    /// @notice Reward accrued by a single staked token since the pool started
+    /// @dev Scaled by PRECISION, grows at stakeAPY per year until the pool expires
+    function rewardPerToken(uint256 poolId) public view returns (uint256) {
+        Pool storage pool = pools[poolId];
+        //staking never started, nothing accrued yet
+        if (pool.lastUpdateTime == 0) {
+            return pool.rewardPerTokenStored;
+        }
+        uint256 lastTime = lastTimeRewardApplicable(poolId);
+        if (lastTime <= pool.lastUpdateTime) {
+            return pool.rewardPerTokenStored;
+        }
+        return
+            pool.rewardPerTokenStored.add(
+                lastTime
+                    .sub(pool.lastUpdateTime)
+                    .mul(pool.stakeAPY)
+                    .mul(PRECISION)
+                    .div(HUNDERED.mul(SEC_IN_YEAR))
+            );
+    }
 
-        uint256 rewardPerSecond = calculateRewardPerSecond(user, token); // 0.000000792744799594 * 86400
-        uint256 accumulatedReward = rewardPerSecond.mul(elapsedTime);
+    /// @dev Checkpoints the pool accumulator and, unless user is the zero
+    /// address, moves the user's earnings since the last checkpoint into reward
+    function updateRewards(address user, uint256 poolId) internal {
+        Pool storage pool = pools[poolId];
+        uint256 currentRewardPerToken = rewardPerToken(poolId);
+        poolFunding[poolId].rewardsAccrued = poolFunding[poolId]
+            .rewardsAccrued
+            .add(
+                pool
+                    .totalBoosted
+                    .mul(currentRewardPerToken.sub(pool.rewardPerTokenStored))
+                    .div(PRECISION)
+            );
+        pool.rewardPerTokenStored = currentRewardPerToken;
+        if (pool.lastUpdateTime != 0) {
+            pool.lastUpdateTime = lastTimeRewardApplicable(poolId);
+        }
 
-        users[user][token].reward = accumulatedReward;
-        users[user][token].lastClaimTime = currentTime;
+        if (user != address(0)) {
+            users[user][poolId].reward = viewRewards(user, poolId);
+            users[user][poolId].rewardPerTokenPaid = pool.rewardPerTokenStored;
+        }
     }
 
-    function claimRewards(address token) public whenClaimsNotPaused {
-        Pool storage pool = pools[token];
-        if (!pool.poolExists) {
-            revert PoolNotExists();
+    /// @dev Recomputes the user's boosted balance from stakedAmount and tier
+    /// and keeps the pool total in sync, rewards must be updated beforehand
+    function updateBoostedAmount(address user, uint256 poolId) internal {
+        User storage account = users[user][poolId];
+        Pool storage pool = pools[poolId];
+        uint256 boostedAmount = account
+            .stakedAmount
+            .mul(lockTiers[poolId][account.tierId].multiplier)
+            .div(BASIS_POINTS);
+
+        pool.totalBoosted = pool.totalBoosted.sub(account.boostedAmount).add(
+            boostedAmount
+        );
+        account.boostedAmount = boostedAmount;
+    }
+
+    function claimRewards(
+        uint256 poolId
+    ) external nonReentrant whenNotPaused(poolId, Action.Claim) {
+        checkPoolExists(poolId);
+        //rewards held back by an unstake while claims were paused stay claimable
+        User storage account = users[_msgSender()][poolId];
+        if (account.stakedAmount == 0 && account.reward == 0) {
+            revert NoAmountStaked();
+        }
+
+        payRewards(_msgSender(), poolId);
+    }
+
+    function payRewards(address user, uint256 poolId) internal {
+        updateRewards(user, poolId);
+
+        uint256 reward = users[user][poolId].reward;
+        address rewardToken = pools[poolId].rewardToken;
+
+        //never pay out of another pool's rewards or staked principal
+        if (reward > remainingRewards(poolId)) {
+            revert RewardBudgetExhausted();
         }
-        if (users[msg.sender][token].stakedAmount == 0) {
+        poolFunding[poolId].rewardsPaid = poolFunding[poolId].rewardsPaid.add(
+            reward
+        );
+        users[user][poolId].reward = 0;
+        users[user][poolId].lastClaimTime = block.timestamp;
+
+        pushToken(rewardToken, user, reward);
+
+        emit RewardPaid(user, poolId, reward);
+    }
+
+    function unStake(
+        uint256 poolId
+    ) external nonReentrant whenNotPaused(poolId, Action.Unstake) {
+        _withdraw(poolId, users[_msgSender()][poolId].stakedAmount);
+
+        // delete users[_msgSender()][poolId];
+    }
+
+    /// @notice Withdraws part of the stake, the rest keeps earning rewards
+    function withdraw(
+        uint256 poolId,
+        uint256 amount
+    ) external nonReentrant whenNotPaused(poolId, Action.Unstake) {
+        if (amount <= 0) {
+            revert InvalidStakeAmount();
+        }
+        _withdraw(poolId, amount);
+    }
+
+    function _withdraw(uint256 poolId, uint256 amount) internal {
+        checkPoolExists(poolId);
+        User storage account = users[_msgSender()][poolId];
+        if (account.stakedAmount == 0) {
             revert NoAmountStaked();
         }
 
-        updateRewards(msg.sender, token);
+        //pending rewards are paid out unless claims are paused, then they stay owed
+        if (pausedActions[poolId][Action.Claim]) {
+            updateRewards(_msgSender(), poolId);
+        } else {
+            payRewards(_msgSender(), poolId);
+        }
+
+        if (amount > account.stakedAmount) {
+            revert InsufficientStake();
+        }
+
+        Pool storage pool = pools[poolId];
+
+        //early exit fee is only taken on the withdrawn part
+        (uint256 fee, uint256 penalty) = exitCharges(poolId, account, amount);
+        uint256 netAmount = amount.sub(fee).sub(penalty);
+
+        account.stakedAmount = account.stakedAmount.sub(amount);
+        pool.totalStaked = pool.totalStaked.sub(amount);
+        updateBoostedAmount(_msgSender(), poolId);
+
+        chargeExit(poolId, fee, penalty);
+
+        // staked tokens will be transferred here
+        pushToken(pool.stakingToken, _msgSender(), netAmount);
+
+        emit UnStaked(_msgSender(), poolId, amount, netAmount);
+    }
+
+    /// @dev Unstake fee on amount plus, before the position unlocks, the
+    /// tier penalty
+    function exitCharges(
+        uint256 poolId,
+        User storage account,
+        uint256 amount
+    ) internal view returns (uint256 fee, uint256 penalty) {
+        fee = amount.mul(unstakeFee(poolId)).div(BASIS_POINTS);
+        if (block.timestamp < account.unlockTime) {
+            penalty = amount.mul(lockTiers[poolId][account.tierId].penalty).div(
+                BASIS_POINTS
+            );
+        }
+    }
+
+    function chargeExit(uint256 poolId, uint256 fee, uint256 penalty) internal {
+        if (fee.add(penalty) > 0) {
+            address stakingToken = pools[poolId].stakingToken;
+            chargeFee(stakingToken, fee.add(penalty));
+            emit FeeCharged(_msgSender(), poolId, stakingToken, fee, penalty);
+        }
+    }
 
-        uint256 reward = users[msg.sender][token].reward; //68493943430000000 68493943429721194
-        address rewardToken = pool.rewardToken;
+    /// @dev Sends the fee to feeWallet, or books it under accruedFees until
+    /// sweepFees when no fee wallet is set
+    function chargeFee(address token, uint256 amount) internal {
+        if (feeWallet == address(0)) {
+            accruedFees[token] = accruedFees[token].add(amount);
+            return;
+        }
+        pushToken(token, feeWallet, amount);
+    }
 
-        IERC20(rewardToken).transfer(msg.sender, reward);
+    /// @dev Takes amount of token from the sender and returns the balance
+    /// increase, which is what gets credited. Native ETH has to come as
+    /// msg.value and ERC20 calls must not send any
+    function pullToken(
+        address token,
+        uint256 amount
+    ) internal returns (uint256 received) {
+        if (token == NATIVE_TOKEN) {
+            if (msg.value != amount) {
+                revert InvalidValue();
+            }
+            return amount;
+        }
+        if (msg.value != 0) {
+            revert InvalidValue();
+        }
+        uint256 balance = IERC20(token).balanceOf(address(this));
+        IERC20(token).safeTransferFrom(_msgSender(), address(this), amount);
+        received = IERC20(token).balanceOf(address(this)).sub(balance);
+    }
 
-        emit RewardPaid(msg.sender, token, reward);
+    /// @dev Zero amounts are skipped for tokens that revert on them
+    function pushToken(address token, address to, uint256 amount) internal {
+        if (amount == 0) {
+            return;
+        }
+        if (token == NATIVE_TOKEN) {
+            (bool sent, ) = to.call{value: amount}("");
+            if (!sent) {
+                revert NativeTransferFailed();
+            }
+            return;
+        }
+        IERC20(token).safeTransfer(to, amount);
     }
 
-    function unStake(address token) external whenUnstakingNotPaused {
-        claimRewards(token); // claim any pending rewards
+    function tokenBalance(
+        address token,
+        address account
+    ) internal view returns (uint256) {
+        if (token == NATIVE_TOKEN) {
+            return account.balance;
+        }
+        return IERC20(token).balanceOf(account);
+    }
 
-        uint256 stakedAmount = users[msg.sender][token].stakedAmount;
+    /// @dev Refuses tokens flagged with setRebasingToken and tokens exposing
+    /// the share views of rebasing tokens, sharesOf (stETH) or
+    /// scaledBalanceOf (Aave aTokens, AMPL). A token answering a selector no
+    /// token implements has a fallback returning data, its answers to the
+    /// share views are no sign of them
+    function checkNotRebasing(address token) internal view {
+        if (
+            rebasingTokens[token] ||
+            ((hasView(token, "sharesOf(address)") ||
+                hasView(token, "scaledBalanceOf(address)")) &&
+                !hasView(token, "notAShareView(address)"))
+        ) {
+            revert RebasingToken(token);
+        }
+    }
 
-        Pool storage pool = pools[token];
-        uint256 validityPeriod = pool.poolValidityPeriod;
+    function hasView(
+        address token,
+        string memory signature
+    ) internal view returns (bool) {
+        (bool success, bytes memory result) = token.staticcall(
+            abi.encodeWithSignature(signature, address(this))
+        );
+        return success && result.length >= 32;
+    }
 
-        if (block.timestamp < validityPeriod) {
-            uint256 fee = stakedAmount.mul(UNSTAKE_FEE).div(THOUSAND); // 5% fee
-            stakedAmount = stakedAmount.sub(fee);
+    /// @notice Adds the pending rewards to the stake in one call, for pools
+    /// that pay rewards in the staking token
+    /// @dev depositTime and unlockTime are kept, compounding is not a new deposit
+    function compound(
+        uint256 poolId
+    )
+        external
+        nonReentrant
+        whenNotPaused(poolId, Action.Claim)
+        whenNotPaused(poolId, Action.Stake)
+    {
+        checkCompoundable(poolId);
+        if (users[_msgSender()][poolId].stakedAmount == 0) {
+            revert NoAmountStaked();
+        }
+        _compound(_msgSender(), poolId);
+    }
 
-            if (feeWallet != address(0)) {
-                IERC20(token).transfer(feeWallet, fee);
+    /// @notice Compounds the pending rewards of every listed user, users
+    /// without a stake are skipped
+    function compoundFor(
+        uint256 poolId,
+        address[] calldata accounts
+    )
+        external
+        onlyRole(POOL_MANAGER_ROLE)
+        nonReentrant
+        whenNotPaused(poolId, Action.Claim)
+        whenNotPaused(poolId, Action.Stake)
+    {
+        checkCompoundable(poolId);
+        for (uint256 i = 0; i < accounts.length; i++) {
+            if (users[accounts[i]][poolId].stakedAmount > 0) {
+                _compound(accounts[i], poolId);
             }
         }
+    }
 
-        // staked tokens will be transferred here
-        IERC20(token).transfer(msg.sender, stakedAmount);
+    function checkCompoundable(
+        uint256 poolId
+    ) internal view whenStakingStarted(poolId) {
+        checkPoolExists(poolId);
+        Pool storage pool = pools[poolId];
+        if (pool.stakingToken != pool.rewardToken) {
+            revert NotCompoundable();
+        }
+        if (block.timestamp >= pool.poolValidityPeriod) {
+            revert PoolEnded();
+        }
+    }
 
-        users[msg.sender][token].stakedAmount = 0;
-        users[msg.sender][token].reward = 0;
+    /// @dev The reward tokens never leave the contract, they are booked as
+    /// paid from the pool budget and added to the staked principal
+    function _compound(address user, uint256 poolId) internal {
+        updateRewards(user, poolId);
 
-        emit UnStaked(msg.sender, token, stakedAmount);
+        User storage account = users[user][poolId];
+        uint256 reward = account.reward;
+        if (reward == 0) {
+            return;
+        }
+        if (reward > remainingRewards(poolId)) {
+            revert RewardBudgetExhausted();
+        }
+
+        poolFunding[poolId].rewardsPaid = poolFunding[poolId].rewardsPaid.add(
+            reward
+        );
+        account.reward = 0;
+        account.lastClaimTime = block.timestamp;
+        account.stakedAmount = account.stakedAmount.add(reward);
+        pools[poolId].totalStaked = pools[poolId].totalStaked.add(reward);
+        updateBoostedAmount(user, poolId);
 
-        // delete users[msg.sender][token];
+        emit Compounded(user, poolId, reward);
     }
 
+    /// @notice Returns the staked principal and forfeits all pending rewards.
+    /// The unstake fee and, before unlock, the tier penalty are charged like
+    /// unStake does, so neither can be skipped this way
+    /// @dev Never touches the reward token, so it keeps working when rewards
+    /// can not be paid out or claims are paused. It is an exit from reward
+    /// failures, not from pauses: it moves principal like unStake and stops
+    /// with it when Unstake is paused on the pool or during an emergency pause
+    function emergencyWithdraw(
+        uint256 poolId
+    ) external nonReentrant whenNotPaused(poolId, Action.Unstake) {
+        checkPoolExists(poolId);
+        User storage account = users[_msgSender()][poolId];
+        uint256 amount = account.stakedAmount;
+        if (amount == 0) {
+            revert NoAmountStaked();
+        }
+        (uint256 fee, uint256 penalty) = exitCharges(poolId, account, amount);
+
+        //forfeited rewards are no longer owed to anyone
+        updateRewards(_msgSender(), poolId);
+        RewardFunding storage funding = poolFunding[poolId];
+        uint256 forfeited = users[_msgSender()][poolId].reward;
+        funding.rewardsAccrued = funding.rewardsAccrued > forfeited
+            ? funding.rewardsAccrued - forfeited
+            : 0;
+
+        pools[poolId].totalStaked = pools[poolId].totalStaked.sub(amount);
+        pools[poolId].totalBoosted = pools[poolId].totalBoosted.sub(
+            users[_msgSender()][poolId].boostedAmount
+        );
+        delete users[_msgSender()][poolId];
+
+        chargeExit(poolId, fee, penalty);
+        pushToken(
+            pools[poolId].stakingToken,
+            _msgSender(),
+            amount.sub(fee).sub(penalty)
+        );
+
+        emit EmergencyWithdraw(_msgSender(), poolId, amount);
+    }
+
+    /// @notice Creates a new pool, several pools may share the same staking token
+    /// @dev Pass NATIVE_TOKEN as staking or reward token for ETH pools, ETH
+    /// reward budgets are sent along as msg.value
+    /// @return poolId ID of the new pool
     function addPool(
         string memory poolName,
-        address token,
         uint256 stakeAPY,
         address stakingToken,
         address rewardToken,
         uint256 poolValidityPeriod,
         uint256 allowanceAmount
-    ) external onlyOwner {
-        if (pools[token].poolExists) {
-            revert PoolAlreadyExists();
-        }
+    ) external payable onlyRole(POOL_MANAGER_ROLE) returns (uint256 poolId) {
         if (stakeAPY <= 0) {
             revert InvalidStakeAPY();
         }
         if (allowanceAmount <= 0) {
             revert InvalidAllowance();
         }
+        checkNotRebasing(stakingToken);
+        checkNotRebasing(rewardToken);
 
-        pools[token] = Pool({
+        poolId = poolCount++;
+        pools[poolId] = Pool({
             poolName: poolName,
             stakeAPY: stakeAPY,
             stakingToken: stakingToken,
@@ -296,19 +962,28 @@ contract StakingContract is Ownable, ReentrancyGuard {
             stakingStartTime: 0,
             poolValidityPeriod: poolValidityPeriod,
             stakingStarted: false,
-            poolExists: true
+            poolExists: true,
+            totalStaked: 0,
+            rewardPerTokenStored: 0,
+            lastUpdateTime: 0,
+            totalBoosted: 0
         });
+        //tier 0 is the flexible tier, no lock and no boost
+        lockTiers[poolId].push(
+            LockTier({lockDuration: 0, multiplier: BASIS_POINTS, penalty: 0})
+        );
+        poolFees[poolId] = FeeConfig({feeBps: DEFAULT_UNSTAKE_FEE, decay: false});
 
-        // Grant allowance to this contract for the rewarding token
-        IERC20(rewardToken).transferFrom(
-            msg.sender,
-            address(this),
+        // Grant allowance to this contract for the rewarding token, the
+        // budget is what arrived
+        poolFunding[poolId].rewardBudget = pullToken(
+            rewardToken,
             allowanceAmount
         );
 
         emit PoolAdded(
+            poolId,
             poolName,
-            token,
             stakeAPY,
             stakingToken,
             rewardToken,
@@ -316,40 +991,384 @@ contract StakingContract is Ownable, ReentrancyGuard {
         );
     }
 
-    //cannot be updateable once the staking starts
-    function updatePoolAPY(
+    /// @notice Adds a lock tier users can pick when staking in the pool
+    /// @dev Tiers can not be changed once added, positions keep their terms
+    /// @return tierId ID of the new tier within the pool
+    function addLockTier(
+        uint256 poolId,
+        uint256 lockDuration,
+        uint256 multiplier,
+        uint256 penalty
+    ) external onlyRole(POOL_MANAGER_ROLE) returns (uint256 tierId) {
+        checkPoolExists(poolId);
+        if (
+            multiplier < BASIS_POINTS ||
+            multiplier > MAX_TIER_MULTIPLIER ||
+            penalty > MAX_TIER_PENALTY
+        ) {
+            revert InvalidLockTier();
+        }
+
+        tierId = lockTiers[poolId].length;
+        lockTiers[poolId].push(
+            LockTier({
+                lockDuration: lockDuration,
+                multiplier: multiplier,
+                penalty: penalty
+            })
+        );
+
+        emit LockTierAdded(poolId, tierId, lockDuration, multiplier, penalty);
+    }
+
+    /// @notice Sends the fees held for token while no fee wallet was set
+    function sweepFees(
         address token,
-        uint256 newRewardPercentage
-    ) external onlyOwner stakingStarted(token) {
-        if (!pools[token].poolExists) {
-            revert PoolNotExists();
+        address to
+    ) external onlyRole(TREASURY_ROLE) nonReentrant {
+        uint256 amount = accruedFees[token];
+        if (amount == 0) {
+            revert NoFeesAccrued();
+        }
+
+        accruedFees[token] = 0;
+        pushToken(token, to, amount);
+
+        emit FeesSwept(token, to, amount);
+    }
+
+    /// @notice Adds reward tokens to the budget of an existing pool, as
+    /// msg.value for ETH reward pools
+    function notifyRewardAmount(
+        uint256 poolId,
+        uint256 amount
+    ) external payable onlyRole(POOL_MANAGER_ROLE) {
+        checkPoolExists(poolId);
+        if (amount <= 0) {
+            revert InvalidAllowance();
+        }
+
+        amount = pullToken(pools[poolId].rewardToken, amount);
+        poolFunding[poolId].rewardBudget = poolFunding[poolId].rewardBudget.add(
+            amount
+        );
+
+        emit RewardAdded(poolId, amount);
+    }
+
+    /// @notice Sends every token of asset held above staked principal and
+    /// owed rewards to the given address
+    function recoverSurplus(
+        address asset,
+        address to
+    ) external onlyRole(TREASURY_ROLE) nonReentrant {
+        uint256 amount = surplus(asset);
+        if (amount == 0) {
+            revert NoSurplus();
         }
+
+        pushToken(asset, to, amount);
+
+        emit SurplusRecovered(asset, to, amount);
+    }
+
+    /* ========== TIMELOCKED CHANGES ========== */
+
+    /// @notice Schedules a new APY for the pool, executable after timelockDelay
+    function scheduleAPYUpdate(
+        uint256 poolId,
+        uint256 newRewardPercentage
+    ) external onlyRole(POOL_MANAGER_ROLE) returns (uint256) {
+        checkPoolExists(poolId);
         if (newRewardPercentage <= 0) {
             revert InvalidStakeAPY();
         }
+        return
+            scheduleChange(
+                ChangeType.PoolAPY,
+                poolId,
+                newRewardPercentage,
+                false,
+                address(0)
+            );
+    }
+
+    /// @notice Schedules a new unstake fee for the pool, with decay the fee
+    /// falls linearly from feeBps at staking start to zero at the pool expiry
+    function scheduleFeeUpdate(
+        uint256 poolId,
+        uint256 feeBps,
+        bool decay
+    ) external onlyRole(POOL_MANAGER_ROLE) returns (uint256) {
+        checkPoolExists(poolId);
+        if (feeBps > MAX_UNSTAKE_FEE) {
+            revert InvalidFee();
+        }
+        return
+            scheduleChange(ChangeType.PoolFee, poolId, feeBps, decay, address(0));
+    }
+
+    /// @notice Schedules a new fee wallet, the zero address holds fees in the contract
+    function scheduleFeeWalletUpdate(
+        address wallet
+    ) external onlyRole(TREASURY_ROLE) returns (uint256) {
+        return scheduleChange(ChangeType.FeeWallet, 0, 0, false, wallet);
+    }
+
+    /// @notice Schedules a new timelock delay, the current delay applies to the change itself
+    function scheduleTimelockDelayUpdate(
+        uint256 delay
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) returns (uint256) {
+        if (delay > MAX_TIMELOCK_DELAY) {
+            revert InvalidDelay();
+        }
+        return scheduleChange(ChangeType.TimelockDelay, 0, delay, false, address(0));
+    }
+
+    /// @notice Schedules a new ERC-2771 forwarder, the zero address turns
+    /// relaying off. A forwarder acts for any user, so it waits out the delay
+    function scheduleTrustedForwarderUpdate(
+        address forwarder
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) returns (uint256) {
+        return scheduleChange(ChangeType.TrustedForwarder, 0, 0, false, forwarder);
+    }
+
+    /// @notice Schedules an upgrade to a new implementation, executing the
+    /// change lets the admin call upgradeTo with it
+    function scheduleUpgrade(
+        address implementation
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) returns (uint256) {
+        return scheduleChange(ChangeType.Upgrade, 0, 0, false, implementation);
+    }
+
+    /// @notice Applies a scheduled change once its delay has passed, callable
+    /// by the role that schedules this kind of change
+    function executeChange(uint256 changeId) external {
+        ScheduledChange memory change = scheduledChanges[changeId];
+        if (change.eta == 0) {
+            revert ChangeNotScheduled();
+        }
+        _checkRole(changeRole(change.changeType));
+        if (block.timestamp < change.eta) {
+            revert ChangeNotReady();
+        }
+        delete scheduledChanges[changeId];
+
+        if (change.changeType == ChangeType.PoolAPY) {
+            //rewards accrued at the old APY are checkpointed before the change
+            updateRewards(address(0), change.poolId);
+            pools[change.poolId].stakeAPY = change.value;
+            emit PoolUpdated(change.poolId, change.value);
+        } else if (change.changeType == ChangeType.PoolFee) {
+            poolFees[change.poolId] = FeeConfig({
+                feeBps: change.value,
+                decay: change.decay
+            });
+            emit PoolFeeUpdated(change.poolId, change.value, change.decay);
+        } else if (change.changeType == ChangeType.FeeWallet) {
+            feeWallet = change.account;
+            emit FeeWalletUpdated(change.account);
+        } else if (change.changeType == ChangeType.TrustedForwarder) {
+            trustedForwarder = change.account;
+            emit TrustedForwarderUpdated(change.account);
+        } else if (change.changeType == ChangeType.Upgrade) {
+            upgradeImplementation = change.account;
+        } else {
+            timelockDelay = change.value;
+            emit TimelockDelayUpdated(change.value);
+        }
+
+        emit ChangeExecuted(changeId);
+    }
+
+    /// @notice Drops a scheduled change, callable by the role that schedules it
+    function cancelChange(uint256 changeId) external {
+        ScheduledChange storage change = scheduledChanges[changeId];
+        if (change.eta == 0) {
+            revert ChangeNotScheduled();
+        }
+        _checkRole(changeRole(change.changeType));
+        delete scheduledChanges[changeId];
+
+        emit ChangeCancelled(changeId);
+    }
+
+    function scheduleChange(
+        ChangeType changeType,
+        uint256 poolId,
+        uint256 value,
+        bool decay,
+        address account
+    ) internal returns (uint256 changeId) {
+        changeId = scheduledChangeCount++;
+        uint256 eta = block.timestamp.add(timelockDelay);
+        scheduledChanges[changeId] = ScheduledChange({
+            changeType: changeType,
+            poolId: poolId,
+            value: value,
+            decay: decay,
+            account: account,
+            eta: eta
+        });
 
-        pools[token].stakeAPY = newRewardPercentage;
+        emit ChangeScheduled(
+            changeId,
+            changeType,
+            poolId,
+            value,
+            decay,
+            account,
+            eta
+        );
+    }
 
-        emit PoolUpdated(token, newRewardPercentage);
+    function changeRole(ChangeType changeType) internal pure returns (bytes32) {
+        if (changeType == ChangeType.FeeWallet) {
+            return TREASURY_ROLE;
+        }
+        if (
+            changeType == ChangeType.TimelockDelay ||
+            changeType == ChangeType.TrustedForwarder ||
+            changeType == ChangeType.Upgrade
+        ) {
+            return DEFAULT_ADMIN_ROLE;
+        }
+        return POOL_MANAGER_ROLE;
+    }
+
+    /// @notice Unstake fee in basis points charged on a withdrawal right now,
+    /// zero once the pool has expired
+    function unstakeFee(uint256 poolId) public view returns (uint256) {
+        Pool storage pool = pools[poolId];
+        FeeConfig storage config = poolFees[poolId];
+        //poolValidityPeriod is still a duration until staking starts
+        if (pool.stakingStartTime == 0) {
+            return config.feeBps;
+        }
+        if (block.timestamp >= pool.poolValidityPeriod) {
+            return 0;
+        }
+        if (!config.decay) {
+            return config.feeBps;
+        }
+        return
+            config
+                .feeBps
+                .mul(pool.poolValidityPeriod.sub(block.timestamp))
+                .div(pool.poolValidityPeriod.sub(pool.stakingStartTime));
     }
 
     function viewRewards(
         address user,
-        address token
-    ) external view returns (uint256) {
-        uint256 rewardPerSecond = calculateRewardPerSecond(user, token);
-        uint256 lastClaimTimeUser = users[user][token].lastClaimTime;
-        uint256 currentTime = block.timestamp;
-        uint256 elapsedTime = currentTime.sub(lastClaimTimeUser);
-        uint256 accruedRewards = users[user][token].reward;
-
-        if (elapsedTime > 0) {
-            accruedRewards = accruedRewards.add(
-                rewardPerSecond.mul(elapsedTime)
-            );
+        uint256 poolId
+    ) public view returns (uint256) {
+        checkPoolExists(poolId);
+        User storage account = users[user][poolId];
+        return
+            account
+                .boostedAmount
+                .mul(rewardPerToken(poolId).sub(account.rewardPerTokenPaid))
+                .div(PRECISION)
+                .add(account.reward);
+    }
+
+    /// @notice Reward budget of the pool that has not been paid out yet
+    function remainingRewards(uint256 poolId) public view returns (uint256) {
+        RewardFunding storage funding = poolFunding[poolId];
+        return funding.rewardBudget.sub(funding.rewardsPaid);
+    }
+
+    /// @notice Rewards earned by the stakers of the pool and not claimed yet
+    function owedRewards(uint256 poolId) public view returns (uint256) {
+        Pool storage pool = pools[poolId];
+        RewardFunding storage funding = poolFunding[poolId];
+        uint256 accrued = funding.rewardsAccrued.add(
+            pool
+                .totalBoosted
+                .mul(rewardPerToken(poolId).sub(pool.rewardPerTokenStored))
+                .div(PRECISION)
+        );
+        return accrued > funding.rewardsPaid ? accrued - funding.rewardsPaid : 0;
+    }
+
+    /// @notice Amount of asset the contract holds above staked principal,
+    /// rewards reserved for stakers and held fees, this is what recoverSurplus
+    /// can withdraw
+    function surplus(address asset) public view returns (uint256) {
+        uint256 reserved = accruedFees[asset];
+        for (uint256 poolId = 0; poolId < poolCount; poolId++) {
+            if (pools[poolId].stakingToken == asset) {
+                reserved = reserved.add(pools[poolId].totalStaked);
+            }
+            if (pools[poolId].rewardToken == asset) {
+                reserved = reserved.add(reservedRewards(poolId));
+            }
         }
 
-        return accruedRewards;
+        uint256 balance = tokenBalance(asset, address(this));
+        return balance > reserved ? balance - reserved : 0;
+    }
+
+    /// @dev While a pool can still accrue its whole remaining budget stays
+    /// committed, once it has ended only what stakers earned is kept
+    function reservedRewards(uint256 poolId) internal view returns (uint256) {
+        Pool storage pool = pools[poolId];
+        uint256 remaining = remainingRewards(poolId);
+        if (
+            pool.stakingStartTime == 0 ||
+            block.timestamp < pool.poolValidityPeriod
+        ) {
+            return remaining;
+        }
+        uint256 owed = owedRewards(poolId);
+        return owed < remaining ? owed : remaining;
+    }
+
+    /// @notice Effective state of the pool: lifecycle, pause flags and which
+    /// user actions currently go through
+    function getPoolState(
+        uint256 poolId
+    ) external view returns (PoolState memory state) {
+        checkPoolExists(poolId);
+        Pool storage pool = pools[poolId];
+
+        state.started = pool.stakingStarted;
+        state.ended =
+            pool.stakingStarted &&
+            block.timestamp >= pool.poolValidityPeriod;
+        state.emergencyPaused = emergencyPaused;
+        state.stakePaused = pausedActions[poolId][Action.Stake];
+        state.claimPaused = pausedActions[poolId][Action.Claim];
+        state.unstakePaused = pausedActions[poolId][Action.Unstake];
+        state.canStake =
+            state.started &&
+            !state.ended &&
+            !emergencyPaused &&
+            !state.stakePaused;
+        state.canClaim = !emergencyPaused && !state.claimPaused;
+        state.canUnstake = !emergencyPaused && !state.unstakePaused;
+    }
+
+    /// @notice Lock tiers of the pool, indexed by tier ID
+    function getLockTiers(
+        uint256 poolId
+    ) external view returns (LockTier[] memory) {
+        return lockTiers[poolId];
+    }
+
+    /// @notice Returns one pool, unlike the pools getter as a struct and
+    /// reverting with PoolNotExists for unknown pool IDs
+    function getPool(uint256 poolId) public view returns (Pool memory) {
+        checkPoolExists(poolId);
+        return pools[poolId];
+    }
+
+    /// @notice Lists every pool in order of their pool ID
+    function getPools() external view returns (Pool[] memory allPools) {
+        allPools = new Pool[](poolCount);
+        for (uint256 poolId = 0; poolId < poolCount; poolId++) {
+            allPools[poolId] = getPool(poolId);
+        }
     }
 
     function contractBalance() public view returns (uint256) {
@@ -357,6 +1376,6 @@ contract StakingContract is Ownable, ReentrancyGuard {
     }
 
     function feeWalletBalance(address token) public view returns (uint256) {
-        return IERC20(token).balanceOf(feeWallet);
+        return tokenBalance(token, feeWallet);
     }
 }
@@ -0,0 +1,179 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.10;
+
+import "./StakingContract.sol";
+
+/// @title Read API for frontends
+/// @notice Bundles the getters of a StakingContract into one call per screen:
+/// every pool with its state, the open positions of a user and reward stats
+/// of a pool
+/// @dev Stateless and separate from StakingContract, which has no code size
+/// left for it. Points at the proxy, so it keeps working across upgrades.
+contract StakingLens {
+    uint256 constant SEC_IN_YEAR = 365 * 24 * 60 * 60; //same as StakingContract
+    uint256 constant HUNDERED = 100;
+    uint256 constant BASIS_POINTS = 10000;
+
+    StakingContract public immutable staking;
+
+    struct PoolOverview {
+        uint256 poolId;
+        StakingContract.Pool pool;
+        StakingContract.PoolState state;
+        uint256 timeRemaining; //seconds until the pool expires, the full validity period until it starts
+    }
+
+    struct UserPosition {
+        uint256 poolId;
+        uint256 stakedAmount;
+        uint256 pendingRewards; //viewRewards
+        uint256 depositTime;
+        uint256 tierId;
+        uint256 unlockTime;
+        uint256 exitFee; //unstake fee plus tier penalty taken if the whole stake left now
+    }
+
+    struct PoolStats {
+        uint256 totalStaked;
+        uint256 effectiveAPR; //basis points paid on staked principal per year, lock tier boosts included
+        uint256 rewardRate; //reward tokens accruing per second to all stakers
+        uint256 remainingRewards;
+        uint256 owedRewards;
+        uint256 rewardRunway; //seconds the unowed budget lasts at rewardRate, capped at timeRemaining
+    }
+
+    constructor(StakingContract stakingContract) {
+        staking = stakingContract;
+    }
+
+    /// @notice Every pool with its effective state and time remaining, in
+    /// order of their pool ID
+    function getPoolOverviews()
+        external
+        view
+        returns (PoolOverview[] memory overviews)
+    {
+        uint256 poolCount = staking.poolCount();
+        overviews = new PoolOverview[](poolCount);
+        for (uint256 poolId = 0; poolId < poolCount; poolId++) {
+            StakingContract.Pool memory pool = staking.getPool(poolId);
+            overviews[poolId] = PoolOverview({
+                poolId: poolId,
+                pool: pool,
+                state: staking.getPoolState(poolId),
+                timeRemaining: remainingTime(pool)
+            });
+        }
+    }
+
+    /// @notice Open positions of user, every pool where it has a stake or
+    /// rewards left to claim
+    function getUserPositions(
+        address user
+    ) external view returns (UserPosition[] memory positions) {
+        uint256 poolCount = staking.poolCount();
+        UserPosition[] memory all = new UserPosition[](poolCount);
+        uint256 count;
+        for (uint256 poolId = 0; poolId < poolCount; poolId++) {
+            UserPosition memory position = userPosition(user, poolId);
+            if (position.stakedAmount > 0 || position.pendingRewards > 0) {
+                all[count++] = position;
+            }
+        }
+
+        positions = new UserPosition[](count);
+        for (uint256 i = 0; i < count; i++) {
+            positions[i] = all[i];
+        }
+    }
+
+    /// @notice Reward figures of the pool
+    /// @dev effectiveAPR is stakeAPY weighted by the average tier multiplier,
+    /// or the plain stakeAPY while nothing is staked, and zero once the pool
+    /// has ended
+    function getPoolStats(
+        uint256 poolId
+    ) external view returns (PoolStats memory stats) {
+        StakingContract.Pool memory pool = staking.getPool(poolId);
+
+        stats.totalStaked = pool.totalStaked;
+        stats.remainingRewards = staking.remainingRewards(poolId);
+        stats.owedRewards = staking.owedRewards(poolId);
+
+        uint256 poolTimeRemaining = remainingTime(pool);
+        if (poolTimeRemaining == 0) {
+            return stats;
+        }
+        stats.effectiveAPR = pool.totalStaked == 0
+            ? pool.stakeAPY * HUNDERED
+            : (pool.stakeAPY * HUNDERED * pool.totalBoosted) /
+                pool.totalStaked;
+
+        //yearly rewards of all stakers, kept unscaled to not round the runway
+        uint256 yearlyRewards = pool.totalBoosted * pool.stakeAPY;
+        stats.rewardRate = yearlyRewards / (HUNDERED * SEC_IN_YEAR);
+
+        uint256 available = stats.remainingRewards > stats.owedRewards
+            ? stats.remainingRewards - stats.owedRewards
+            : 0;
+        stats.rewardRunway = poolTimeRemaining;
+        if (yearlyRewards > 0) {
+            uint256 runway = (available * HUNDERED * SEC_IN_YEAR) /
+                yearlyRewards;
+            if (runway < poolTimeRemaining) {
+                stats.rewardRunway = runway;
+            }
+        }
+    }
+
+    /// @notice Seconds until the pool expires, the full validity period while
+    /// staking has not started
+    function timeRemaining(uint256 poolId) external view returns (uint256) {
+        return remainingTime(staking.getPool(poolId));
+    }
+
+    function remainingTime(
+        StakingContract.Pool memory pool
+    ) internal view returns (uint256) {
+        //poolValidityPeriod is still a duration until staking starts
+        if (pool.stakingStartTime == 0) {
+            return pool.poolValidityPeriod;
+        }
+        return
+            block.timestamp < pool.poolValidityPeriod
+                ? pool.poolValidityPeriod - block.timestamp
+                : 0;
+    }
+
+    function userPosition(
+        address user,
+        uint256 poolId
+    ) internal view returns (UserPosition memory position) {
+        (
+            uint256 stakedAmount,
+            uint256 depositTime,
+            ,
+            ,
+            ,
+            uint256 tierId,
+            uint256 unlockTime,
+
+        ) = staking.users(user, poolId);
+
+        position.poolId = poolId;
+        position.stakedAmount = stakedAmount;
+        position.pendingRewards = staking.viewRewards(user, poolId);
+        position.depositTime = depositTime;
+        position.tierId = tierId;
+        position.unlockTime = unlockTime;
+
+        //same fee and penalty StakingContract takes when the whole stake leaves
+        position.exitFee =
+            (stakedAmount * staking.unstakeFee(poolId)) /
+            BASIS_POINTS;
+        if (block.timestamp < unlockTime) {
+            (, , uint256 penalty) = staking.lockTiers(poolId, tierId);
+            position.exitFee += (stakedAmount * penalty) / BASIS_POINTS;
+        }
+    }
+}
@@ -0,0 +1,16 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.10;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/// @notice Test token with a fallback answering every unknown call with a
+/// word of data, as proxies and some legacy tokens do
+contract FallbackToken is ERC20 {
+    constructor() ERC20("Fallback Token", "FBK") {
+        _mint(msg.sender, 1_000_000 ether);
+    }
+
+    fallback(bytes calldata) external returns (bytes memory) {
+        return abi.encode(uint256(1));
+    }
+}
@@ -0,0 +1,7 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.10;
+
+import "@openzeppelin/contracts/metatx/MinimalForwarder.sol";
+
+/// @notice ERC-2771 forwarder used to relay signed calls in the test suite
+contract MockForwarder is MinimalForwarder {}
@@ -0,0 +1,11 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.10;
+
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
+
+/// @notice Test token supporting EIP-2612 permits
+contract PermitToken is ERC20Permit {
+    constructor() ERC20("Permit Token", "PRMT") ERC20Permit("Permit Token") {
+        _mint(msg.sender, 1_000_000 ether);
+    }
+}
@@ -0,0 +1,26 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.10;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/// @notice Test token exposing the sharesOf view of stETH style rebasing
+/// tokens, one share per token until rebase changes the rate
+contract RebasingToken is ERC20 {
+    uint256 public tokensPerShare = 1 ether;
+
+    constructor() ERC20("Rebasing Token", "REB") {
+        _mint(msg.sender, 1_000_000 ether);
+    }
+
+    function sharesOf(address account) external view returns (uint256) {
+        return (super.balanceOf(account) * 1 ether) / tokensPerShare;
+    }
+
+    function balanceOf(address account) public view override returns (uint256) {
+        return (super.balanceOf(account) * tokensPerShare) / 1 ether;
+    }
+
+    function rebase(uint256 tokensPerShare_) external {
+        tokensPerShare = tokensPerShare_;
+    }
+}
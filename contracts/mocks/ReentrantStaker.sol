@@ -0,0 +1,42 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.10;
+
+import "../StakingContract.sol";
+
+/// @notice Stakes native ETH and calls back into the staking contract when an
+/// ETH payout arrives, to check payouts can not be re-entered
+contract ReentrantStaker {
+    StakingContract public immutable staking;
+    bytes public reentryCall; //sent to staking from receive, empty accepts the ETH
+
+    constructor(StakingContract staking_) {
+        staking = staking_;
+    }
+
+    function setReentryCall(bytes calldata data) external {
+        reentryCall = data;
+    }
+
+    function stake(uint256 poolId) external payable {
+        staking.stake{value: msg.value}(poolId, msg.value);
+    }
+
+    function execute(bytes calldata data) external {
+        forward(data);
+    }
+
+    receive() external payable {
+        if (reentryCall.length > 0) {
+            forward(reentryCall);
+        }
+    }
+
+    function forward(bytes memory data) internal {
+        (bool success, bytes memory result) = address(staking).call(data);
+        if (!success) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+    }
+}
@@ -0,0 +1,21 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.10;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/// @notice Test token reverting on zero amount transfers, as LEND and a few
+/// other tokens do
+contract RevertOnZeroToken is ERC20 {
+    constructor() ERC20("Zero Revert Token", "ZRT") {
+        _mint(msg.sender, 1_000_000 ether);
+    }
+
+    function _transfer(
+        address from,
+        address to,
+        uint256 amount
+    ) internal override {
+        require(amount > 0, "RevertOnZeroToken: zero amount");
+        super._transfer(from, to, amount);
+    }
+}
@@ -0,0 +1,11 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.10;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/// @notice Test token used to pay staking rewards in the test suite
+contract RewardToken is ERC20 {
+    constructor() ERC20("Reward Token", "RWT") {
+        _mint(msg.sender, 1_000_000 ether);
+    }
+}
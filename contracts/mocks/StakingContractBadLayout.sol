@@ -0,0 +1,13 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.10;
+
+import "../StakingContract.sol";
+
+contract ShiftedStorage {
+    uint256 internal shifted;
+}
+
+/// @notice Upgrade target with a variable inserted ahead of the
+/// StakingContract storage, the upgrade checks must reject it
+/// @custom:oz-upgrades-unsafe-allow missing-initializer
+contract StakingContractBadLayout is ShiftedStorage, StakingContract {}
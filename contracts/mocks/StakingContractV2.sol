@@ -0,0 +1,20 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.10;
+
+import "../StakingContract.sol";
+
+/// @notice Upgrade target used by the test suite, appends storage and a
+/// function to check the proxy runs the new implementation
+/// @dev The parent state is already initialized through the v1 proxy
+/// @custom:oz-upgrades-unsafe-allow missing-initializer
+contract StakingContractV2 is StakingContract {
+    uint256 public upgradedAt;
+
+    function initializeV2() external reinitializer(2) {
+        upgradedAt = block.timestamp;
+    }
+
+    function version() external pure returns (string memory) {
+        return "2";
+    }
+}
@@ -0,0 +1,11 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.10;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/// @notice Test token used as the staked asset in the test suite
+contract StakingToken is ERC20 {
+    constructor() ERC20("Staking Token", "STK") {
+        _mint(msg.sender, 1_000_000 ether);
+    }
+}
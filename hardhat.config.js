@@ -1,6 +1,19 @@
 require("@nomicfoundation/hardhat-toolbox");
+require("@openzeppelin/hardhat-upgrades");
+require("./tasks/admin");
+require("./tasks/report");
+require("./tasks/invariants");
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
-  solidity: "0.8.18",
+  solidity: {
+    version: "0.8.18",
+    settings: {
+      // StakingContract is over the 24KB code size limit without it
+      optimizer: {
+        enabled: true,
+        runs: 200,
+      },
+    },
+  },
 };
@@ -1,30 +1,207 @@
-// We require the Hardhat Runtime Environment explicitly here. This is optional
-// but useful for running the script in a standalone fashion through `node <script>`.
+// Deploys StakingContract behind a UUPS proxy and creates the pools listed in
+// the pool manifest.
 //
-// You can also run a script with `npx hardhat run <script>`. If you do that, Hardhat
-// will compile your contracts, add the Hardhat Runtime Environment's members to the
-// global scope, and execute the script.
+//   npx hardhat run scripts/deploy.js --network <network>
+//
+// The manifest defaults to config/pools.js and can be overridden with the
+// POOLS_CONFIG environment variable (.js or .json). The script is safe to run
+// again: an already deployed proxy is reused from deployments/<network>.json,
+// pools that already exist on chain, matched on name and staking token, are
+// skipped, and fee wallet or delay changes still waiting out the timelock are
+// executed once ready instead of being scheduled again.
 const hre = require("hardhat");
+const {
+  readDeployment,
+  writeDeployment,
+  readManifest,
+  deploymentsFile,
+} = require("./lib/deployments");
+const { erc20, isNativeToken, parseTokenAmount } = require("./lib/tokens");
+const { CHANGE_TYPES, applyChange } = require("./lib/changes");
 
-async function main() {
-  const currentTimestampInSeconds = Math.round(Date.now() / 1000);
-  const unlockTime = currentTimestampInSeconds + 60;
+const DEFAULT_MANIFEST = "config/pools.js";
+
+async function deployOrAttach(deployment) {
+  const { ethers, upgrades } = hre;
 
-  const lockedAmount = hre.ethers.parseEther("0.001");
+  if (deployment.StakingContract) {
+    const code = await ethers.provider.getCode(deployment.StakingContract);
+    if (code !== "0x") {
+      console.log(`Reusing StakingContract at ${deployment.StakingContract}`);
+      return ethers.getContractAt("StakingContract", deployment.StakingContract);
+    }
+  }
 
-  const lock = await hre.ethers.deployContract("Lock", [unlockTime], {
-    value: lockedAmount,
+  const StakingContract = await ethers.getContractFactory("StakingContract");
+  const stakingContract = await upgrades.deployProxy(StakingContract, [], {
+    kind: "uups",
   });
+  await stakingContract.waitForDeployment();
 
-  await lock.waitForDeployment();
+  deployment.StakingContract = stakingContract.target;
+  deployment.implementation = await upgrades.erc1967.getImplementationAddress(
+    stakingContract.target
+  );
+  deployment.pools = {};
+  console.log(`StakingContract proxy deployed to ${stakingContract.target}`);
 
-  console.log(
-    `Lock with ${ethers.formatEther(
-      lockedAmount
-    )}ETH and unlock timestamp ${unlockTime} deployed to ${lock.target}`
+  return stakingContract;
+}
+
+// The read-only lens points at the proxy, so one deployment serves every
+// implementation
+async function deployLens(stakingContract, deployment) {
+  const { ethers } = hre;
+
+  if (deployment.StakingLens) {
+    const code = await ethers.provider.getCode(deployment.StakingLens);
+    if (code !== "0x") {
+      console.log(`Reusing StakingLens at ${deployment.StakingLens}`);
+      return;
+    }
+  }
+
+  const stakingLens = await ethers.deployContract("StakingLens", [
+    stakingContract.target,
+  ]);
+  await stakingLens.waitForDeployment();
+  deployment.StakingLens = stakingLens.target;
+  console.log(`StakingLens deployed to ${stakingLens.target}`);
+}
+
+async function configureFeeWallet(stakingContract, feeWallet) {
+  if (!feeWallet) {
+    return;
+  }
+  const current = await stakingContract.feeWallet();
+  if (current.toLowerCase() === feeWallet.toLowerCase()) {
+    return;
+  }
+  await applyChange(
+    stakingContract,
+    { changeType: CHANGE_TYPES.FeeWallet, account: feeWallet },
+    "scheduleFeeWalletUpdate",
+    [feeWallet],
+    `Fee wallet set to ${feeWallet}`
+  );
+}
+
+// Raised last so the fee wallet and pools are set up without waiting
+async function configureTimelockDelay(stakingContract, delay) {
+  if (delay === undefined) {
+    return;
+  }
+  if ((await stakingContract.timelockDelay()) === BigInt(delay)) {
+    return;
+  }
+  await applyChange(
+    stakingContract,
+    { changeType: CHANGE_TYPES.TimelockDelay, value: delay },
+    "scheduleTimelockDelayUpdate",
+    [delay],
+    `Timelock delay set to ${delay} seconds`
   );
 }
 
+// Returns the ID of a pool created for this manifest entry by an earlier run
+async function findPool(stakingContract, entry) {
+  const allPools = await stakingContract.getPools();
+  const poolId = allPools.findIndex(
+    (pool) =>
+      pool.poolName === entry.name &&
+      pool.stakingToken.toLowerCase() === entry.stakingToken.toLowerCase()
+  );
+  return poolId === -1 ? undefined : poolId;
+}
+
+async function addPool(stakingContract, signer, entry) {
+  const { ethers } = hre;
+  const allowanceAmount = await parseTokenAmount(
+    ethers,
+    entry.rewardToken,
+    entry.rewardAllowance
+  );
+
+  // addPool pulls the reward allowance from the deployer, ETH rewards are
+  // sent along with the call
+  const native = isNativeToken(entry.rewardToken);
+  if (!native) {
+    const rewardToken = erc20(ethers, entry.rewardToken, signer);
+    const allowance = await rewardToken.allowance(
+      signer.address,
+      stakingContract.target
+    );
+    if (allowance < allowanceAmount) {
+      await (
+        await rewardToken.approve(stakingContract.target, allowanceAmount)
+      ).wait();
+    }
+  }
+
+  const tx = await stakingContract.addPool(
+    entry.name,
+    entry.apy,
+    entry.stakingToken,
+    entry.rewardToken,
+    entry.validityPeriod,
+    allowanceAmount,
+    { value: native ? allowanceAmount : 0n }
+  );
+  const receipt = await tx.wait();
+  const poolAdded = receipt.logs
+    .map((log) => stakingContract.interface.parseLog(log))
+    .find((event) => event && event.name === "PoolAdded");
+  const poolId = Number(poolAdded.args.poolId);
+  console.log(`Pool "${entry.name}" added with ID ${poolId}`);
+
+  return { poolId, txHash: tx.hash };
+}
+
+async function main() {
+  const { ethers, network } = hre;
+  const [signer] = await ethers.getSigners();
+
+  const manifest = readManifest(process.env.POOLS_CONFIG || DEFAULT_MANIFEST);
+  const deployment = readDeployment(network.name);
+  deployment.chainId = Number((await ethers.provider.getNetwork()).chainId);
+
+  const stakingContract = await deployOrAttach(deployment);
+  await deployLens(stakingContract, deployment);
+  await configureFeeWallet(stakingContract, manifest.feeWallet);
+  deployment.feeWallet = await stakingContract.feeWallet();
+  // record the contract before touching pools so a failed run can resume
+  writeDeployment(network.name, deployment);
+
+  for (const entry of manifest.pools || []) {
+    let poolId = await findPool(stakingContract, entry);
+    if (poolId !== undefined) {
+      console.log(`Pool "${entry.name}" already exists with ID ${poolId}, skipping`);
+    } else {
+      const added = await addPool(stakingContract, signer, entry);
+      poolId = added.poolId;
+      deployment.pools[entry.name] = {
+        poolId,
+        stakingToken: entry.stakingToken,
+        rewardToken: entry.rewardToken,
+        txHash: added.txHash,
+      };
+    }
+
+    // a pool starts only once, pausing is separate from the start state
+    const { stakingStarted } = await stakingContract.pools(poolId);
+    if (entry.start && !stakingStarted) {
+      await (await stakingContract.startStaking(poolId)).wait();
+      console.log(`Staking started for "${entry.name}"`);
+    }
+
+    writeDeployment(network.name, deployment);
+  }
+
+  await configureTimelockDelay(stakingContract, manifest.timelockDelay);
+
+  console.log(`Deployment written to ${deploymentsFile(network.name)}`);
+}
+
 // We recommend this pattern to be able to use async/await everywhere
 // and properly handle errors.
 main().catch((error) => {
@@ -0,0 +1,36 @@
+// Writes the StakingContract ABI the JavaScript client ships with to
+// sdk/abi/StakingContract.json, so the client works without compiling.
+//
+//   npx hardhat run scripts/export-abi.js
+//
+// Run it after changing the contract interface, a test fails while the
+// committed ABI is behind the compiled one.
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+
+const ABI_FILE = path.join(__dirname, "..", "sdk", "abi", "StakingContract.json");
+
+async function exportAbi() {
+  await hre.run("compile", { quiet: true });
+  const { abi } = await hre.artifacts.readArtifact("StakingContract");
+  fs.mkdirSync(path.dirname(ABI_FILE), { recursive: true });
+  fs.writeFileSync(ABI_FILE, `${JSON.stringify(abi, null, 2)}\n`);
+  return ABI_FILE;
+}
+
+async function main() {
+  console.log(`ABI written to ${await exportAbi()}`);
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  ABI_FILE,
+  exportAbi,
+};
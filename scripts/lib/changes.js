@@ -0,0 +1,71 @@
+const ethers = require("ethers");
+
+// ChangeType enum of StakingContract
+const CHANGE_TYPES = {
+  PoolAPY: 0n,
+  PoolFee: 1n,
+  FeeWallet: 2n,
+  TimelockDelay: 3n,
+  TrustedForwarder: 4n,
+  Upgrade: 5n,
+};
+
+// Returns { changeId, eta } of a scheduled change of this type and value that
+// is neither executed nor cancelled, or undefined. Unset fields match the
+// values the schedule functions fill in.
+async function findPendingChange(stakingContract, {
+  changeType,
+  poolId = 0n,
+  value = 0n,
+  decay = false,
+  account = ethers.ZeroAddress,
+}) {
+  const count = await stakingContract.scheduledChangeCount();
+  for (let changeId = count - 1n; changeId >= 0n; changeId--) {
+    const change = await stakingContract.scheduledChanges(changeId);
+    if (
+      change.eta !== 0n &&
+      change.changeType === changeType &&
+      change.poolId === BigInt(poolId) &&
+      change.value === BigInt(value) &&
+      change.decay === decay &&
+      change.account.toLowerCase() === account.toLowerCase()
+    ) {
+      return { changeId, eta: change.eta };
+    }
+  }
+  return undefined;
+}
+
+// Schedules a timelocked change, unless the same change is already pending,
+// and executes it straight away once its eta has passed, as it has on a fresh
+// deployment with a zero delay. Otherwise the change is left pending for
+// change:execute or a later run. Returns true once the change is applied.
+async function applyChange(stakingContract, change, method, args, description) {
+  const pending = await findPendingChange(stakingContract, change);
+  let scheduled = pending;
+  if (!pending) {
+    const receipt = await (await stakingContract.getFunction(method)(...args)).wait();
+    scheduled = receipt.logs
+      .map((log) => stakingContract.interface.parseLog(log))
+      .find((event) => event && event.name === "ChangeScheduled").args;
+  }
+  const { changeId, eta } = scheduled;
+
+  const block = await stakingContract.runner.provider.getBlock("latest");
+  if (BigInt(block.timestamp) < eta) {
+    console.log(
+      `${description} ${pending ? "already " : ""}scheduled as change ${changeId}, executable after ${new Date(Number(eta) * 1000).toISOString()}`
+    );
+    return false;
+  }
+  await (await stakingContract.executeChange(changeId)).wait();
+  console.log(description);
+  return true;
+}
+
+module.exports = {
+  CHANGE_TYPES,
+  findPendingChange,
+  applyChange,
+};
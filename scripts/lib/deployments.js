@@ -0,0 +1,47 @@
+const fs = require("fs");
+const path = require("path");
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "..", "deployments");
+
+function deploymentsFile(networkName) {
+  return path.join(DEPLOYMENTS_DIR, `${networkName}.json`);
+}
+
+// Returns the recorded deployment for a network, or an empty record if the
+// network has never been deployed to.
+function readDeployment(networkName) {
+  const file = deploymentsFile(networkName);
+  if (!fs.existsSync(file)) {
+    return { network: networkName, pools: {} };
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function writeDeployment(networkName, deployment) {
+  fs.mkdirSync(DEPLOYMENTS_DIR, { recursive: true });
+  fs.writeFileSync(
+    deploymentsFile(networkName),
+    JSON.stringify(deployment, null, 2) + "\n"
+  );
+}
+
+// Loads a pool manifest from a .json or .js file. A JS manifest may export
+// either the manifest object or a function returning it.
+function readManifest(manifestPath) {
+  const resolved = path.resolve(manifestPath);
+  if (!fs.existsSync(resolved)) {
+    throw new Error(`Pool manifest not found at ${resolved}`);
+  }
+  if (resolved.endsWith(".json")) {
+    return JSON.parse(fs.readFileSync(resolved, "utf8"));
+  }
+  const manifest = require(resolved);
+  return typeof manifest === "function" ? manifest() : manifest;
+}
+
+module.exports = {
+  deploymentsFile,
+  readDeployment,
+  writeDeployment,
+  readManifest,
+};
@@ -0,0 +1,79 @@
+// Readable messages for the custom errors declared in StakingContract.
+const ERROR_MESSAGES = {
+  InvalidStakeAPY: "APY must be greater than zero",
+  InvalidAllowance: "Reward allowance must be greater than zero",
+  PoolNotExists: "No pool exists with this pool ID",
+  InvalidStakeAmount: "Stake amount must be greater than zero",
+  NoAmountStaked: "Nothing is staked in this pool",
+  AlreadyStaked: "This token is already staked",
+  StakingStarted: "Staking has already started for this pool",
+  StakingNotStarted: "Staking has not started for this pool",
+  PoolEnded: "The pool validity period has ended",
+  InsufficientStake: "Withdraw amount is more than the staked amount",
+  RewardBudgetExhausted: "The pool reward budget can not cover this claim",
+  NoSurplus: "Nothing to recover above staked principal and owed rewards",
+  InvalidLockTier: "Lock tier does not exist or its parameters are out of range",
+  TierMismatch: "The open position uses another lock tier",
+  InvalidFee: "Unstake fee is above the maximum",
+  NoFeesAccrued: "No fees are held for this token",
+  NotCompoundable: "Rewards can only be compounded when the pool pays them in the staking token",
+  ChangeNotScheduled: "No pending change is scheduled under this ID",
+  ChangeNotReady: "The timelock delay of this change has not passed yet",
+  InvalidDelay: "Timelock delay is above the maximum",
+  ActionPaused: "This action is paused on the pool",
+  EmergencyPaused: "Every pool is halted by the emergency pause",
+  InvalidValue: "ETH sent does not match the amount, or was sent to a token pool",
+  NativeTransferFailed: "The receiver rejected the ETH payout",
+  RebasingToken: "Rebasing tokens can not be staked or paid as rewards",
+};
+
+// Walks the nested errors thrown by ethers and hardhat looking for the raw
+// revert data returned by the contract.
+function findRevertData(error) {
+  const seen = new Set();
+  let current = error;
+  while (current && typeof current === "object" && !seen.has(current)) {
+    seen.add(current);
+    if (typeof current.data === "string" && current.data.startsWith("0x")) {
+      return current.data;
+    }
+    if (current.data && typeof current.data.data === "string") {
+      return current.data.data;
+    }
+    current = current.error || (current.info && current.info.error) || current.cause;
+  }
+  return undefined;
+}
+
+// Turns a failed contract call into a one line explanation. Custom errors are
+// decoded against the contract interface, string reverts are returned as is.
+function decodeError(contractInterface, error) {
+  const data = findRevertData(error);
+  if (data && data !== "0x") {
+    try {
+      const parsed = contractInterface.parseError(data);
+      if (parsed && parsed.name === "Error") {
+        return parsed.args[0];
+      }
+      if (parsed) {
+        const message = ERROR_MESSAGES[parsed.name];
+        if (message) {
+          return `${parsed.name}: ${message}`;
+        }
+        return `${parsed.name}(${parsed.args.join(", ")})`;
+      }
+    } catch (_) {
+      // not one of our errors, fall through to the reason string
+    }
+  }
+  if (error.reason) {
+    return error.reason;
+  }
+  return error.shortMessage || error.message;
+}
+
+module.exports = {
+  ERROR_MESSAGES,
+  findRevertData,
+  decodeError,
+};
@@ -0,0 +1,369 @@
+// Rebuilds per pool, per user and fee ledgers from StakingContract events and
+// checks them against on-chain state. Used by the report:ledger task.
+//
+// Fees are attributed by replaying FeeWalletUpdated: a fee charged while a fee
+// wallet was set went to that wallet, otherwise it is held by the contract
+// until sweepFees. Reconciliation assumes the scanned range starts at or
+// before the contract deployment, a later start leaves earlier activity out of
+// the ledger and shows up as mismatches.
+const fs = require("fs");
+const path = require("path");
+const ethers = require("ethers");
+const { erc20, isNativeToken } = require("./tokens");
+
+const LEDGER_EVENTS = [
+  "PoolAdded",
+  "Staked",
+  "UnStaked",
+  "RewardPaid",
+  "Compounded",
+  "EmergencyWithdraw",
+  "FeeCharged",
+  "FeesSwept",
+  "FeeWalletUpdated",
+];
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+// Reads every ledger event in [fromBlock, toBlock], in chain order. Blocks are
+// queried in batches to stay under the log range limits of RPC providers.
+async function fetchEvents(stakingContract, { fromBlock = 0, toBlock, batchSize = 5000 } = {}) {
+  const provider = stakingContract.runner.provider || stakingContract.runner;
+  const lastBlock = toBlock === undefined ? await provider.getBlockNumber() : Number(toBlock);
+
+  const logs = [];
+  for (let start = Number(fromBlock); start <= lastBlock; start += batchSize) {
+    const end = Math.min(start + batchSize - 1, lastBlock);
+    for (const eventName of LEDGER_EVENTS) {
+      logs.push(...(await stakingContract.queryFilter(eventName, start, end)));
+    }
+  }
+  logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+  const timestamps = new Map();
+  const events = [];
+  for (const log of logs) {
+    if (!timestamps.has(log.blockNumber)) {
+      timestamps.set(log.blockNumber, (await provider.getBlock(log.blockNumber)).timestamp);
+    }
+    const args = log.args.toObject();
+    events.push({
+      event: log.eventName,
+      blockNumber: log.blockNumber,
+      timestamp: timestamps.get(log.blockNumber),
+      transactionHash: log.transactionHash,
+      logIndex: log.index,
+      ...args,
+      poolId: args.poolId === undefined ? undefined : Number(args.poolId),
+    });
+  }
+  return { fromBlock: Number(fromBlock), toBlock: lastBlock, events };
+}
+
+function emptyTotals() {
+  return {
+    staked: 0n,
+    unstaked: 0n, //withdrawn from the stake, fees included
+    received: 0n, //sent to users after fees
+    emergencyWithdrawn: 0n,
+    compounded: 0n,
+    rewardsPaid: 0n,
+    fees: 0n,
+    penalties: 0n,
+    netStaked: 0n, //staked + compounded - unstaked - emergencyWithdrawn
+  };
+}
+
+// Folds the events returned by fetchEvents into ledgers. Amounts stay bigint
+// base units of the token they are paid in.
+function buildLedger({ fromBlock, toBlock, events }) {
+  const ledger = { fromBlock, toBlock, pools: {}, users: {}, fees: {}, feeWallets: [] };
+  let feeWallet = ZERO_ADDRESS;
+
+  const pool = (poolId) => {
+    if (!ledger.pools[poolId]) {
+      ledger.pools[poolId] = { poolId, ...emptyTotals() };
+    }
+    return ledger.pools[poolId];
+  };
+  const position = (user, poolId) => {
+    ledger.users[user] = ledger.users[user] || {};
+    if (!ledger.users[user][poolId]) {
+      ledger.users[user][poolId] = { user, poolId, ...emptyTotals() };
+    }
+    return ledger.users[user][poolId];
+  };
+  const fees = (token) => {
+    if (!ledger.fees[token]) {
+      ledger.fees[token] = { token, charged: 0n, sentToFeeWallet: {}, held: 0n, swept: 0n };
+    }
+    return ledger.fees[token];
+  };
+  // applies the same change to the pool and the user totals
+  const book = (event, field, amount) => {
+    for (const totals of [pool(event.poolId), position(event.user, event.poolId)]) {
+      totals[field] += amount;
+    }
+  };
+
+  for (const event of events) {
+    switch (event.event) {
+      case "PoolAdded":
+        Object.assign(pool(event.poolId), {
+          poolName: event.poolName,
+          stakingToken: event.stakingToken,
+          rewardToken: event.rewardToken,
+        });
+        break;
+      case "Staked":
+        book(event, "staked", event.amount);
+        book(event, "netStaked", event.amount);
+        break;
+      case "UnStaked":
+        book(event, "unstaked", event.amount);
+        book(event, "received", event.netAmount);
+        book(event, "netStaked", -event.amount);
+        break;
+      case "EmergencyWithdraw":
+        book(event, "emergencyWithdrawn", event.amount);
+        book(event, "netStaked", -event.amount);
+        break;
+      case "Compounded":
+        book(event, "compounded", event.amount);
+        book(event, "netStaked", event.amount);
+        break;
+      case "RewardPaid":
+        book(event, "rewardsPaid", event.amount);
+        break;
+      case "FeeCharged": {
+        book(event, "fees", event.fee);
+        book(event, "penalties", event.penalty);
+        const tokenFees = fees(event.token);
+        const amount = event.fee + event.penalty;
+        tokenFees.charged += amount;
+        if (feeWallet === ZERO_ADDRESS) {
+          tokenFees.held += amount;
+        } else {
+          tokenFees.sentToFeeWallet[feeWallet] = (tokenFees.sentToFeeWallet[feeWallet] || 0n) + amount;
+        }
+        break;
+      }
+      case "FeesSwept": {
+        const tokenFees = fees(event.token);
+        tokenFees.swept += event.amount;
+        tokenFees.held -= event.amount;
+        break;
+      }
+      case "FeeWalletUpdated":
+        feeWallet = event.feeWallet;
+        if (!ledger.feeWallets.includes(feeWallet) && feeWallet !== ZERO_ADDRESS) {
+          ledger.feeWallets.push(feeWallet);
+        }
+        break;
+    }
+  }
+  ledger.events = events;
+  return ledger;
+}
+
+function check(checks, name, subject, onChain, ledgerValue, ok = onChain === ledgerValue) {
+  checks.push({ check: name, subject, onChain, ledger: ledgerValue, ok });
+}
+
+// Compares the ledger against the contract state at ledger.toBlock. Returns
+// one entry per check, ok is false where the two disagree.
+async function reconcile(stakingContract, ledger) {
+  const blockTag = ledger.toBlock;
+  const runner = stakingContract.runner;
+  const checks = [];
+  const liabilities = {}; //token => principal, held fees and unpaid reward budget
+
+  const poolCount = Number(await stakingContract.poolCount({ blockTag }));
+  for (let poolId = 0; poolId < poolCount; poolId++) {
+    const onChain = await stakingContract.pools(poolId, { blockTag });
+    const funding = await stakingContract.poolFunding(poolId, { blockTag });
+    const totals = ledger.pools[poolId] || { poolId, ...emptyTotals() };
+    // pools added before the scanned range still get their tokens
+    Object.assign(totals, {
+      poolName: totals.poolName || onChain.poolName,
+      stakingToken: totals.stakingToken || onChain.stakingToken,
+      rewardToken: totals.rewardToken || onChain.rewardToken,
+    });
+    ledger.pools[poolId] = totals;
+
+    check(checks, "pool totalStaked", `pool ${poolId}`, onChain.totalStaked, totals.netStaked);
+    // compounding pays rewards into the stake
+    check(checks, "pool rewardsPaid", `pool ${poolId}`, funding.rewardsPaid, totals.rewardsPaid + totals.compounded);
+
+    liabilities[onChain.stakingToken] = (liabilities[onChain.stakingToken] || 0n) + onChain.totalStaked;
+    liabilities[onChain.rewardToken] =
+      (liabilities[onChain.rewardToken] || 0n) + funding.rewardBudget - funding.rewardsPaid;
+  }
+
+  for (const [user, positions] of Object.entries(ledger.users)) {
+    for (const totals of Object.values(positions)) {
+      const { stakedAmount } = await stakingContract.users(user, totals.poolId, { blockTag });
+      check(checks, "user stakedAmount", `${user} pool ${totals.poolId}`, stakedAmount, totals.netStaked);
+    }
+  }
+
+  for (const tokenFees of Object.values(ledger.fees)) {
+    const held = await stakingContract.accruedFees(tokenFees.token, { blockTag });
+    check(checks, "held fees", tokenFees.token, held, tokenFees.held);
+    liabilities[tokenFees.token] = (liabilities[tokenFees.token] || 0n) + held;
+  }
+
+  // stray transfers may leave more than the contract owes, never less
+  for (const [token, owed] of Object.entries(liabilities)) {
+    const balance = isNativeToken(token)
+      ? await (runner.provider || runner).getBalance(stakingContract.target, blockTag)
+      : await erc20(ethers, token, runner).balanceOf(stakingContract.target, { blockTag });
+    check(checks, "contract balance covers liabilities", token, balance, owed, balance >= owed);
+  }
+
+  return checks;
+}
+
+// Symbol and decimals of every token the ledger mentions
+async function readTokens(stakingContract, ledger) {
+  const addresses = new Set(Object.keys(ledger.fees));
+  for (const pool of Object.values(ledger.pools)) {
+    addresses.add(pool.stakingToken);
+    addresses.add(pool.rewardToken);
+  }
+  const tokens = {};
+  for (const address of addresses) {
+    if (!address) {
+      continue;
+    }
+    if (isNativeToken(address)) {
+      tokens[address] = { symbol: "ETH", decimals: 18 };
+      continue;
+    }
+    const token = erc20(ethers, address, stakingContract.runner);
+    tokens[address] = { symbol: await token.symbol(), decimals: Number(await token.decimals()) };
+  }
+  return tokens;
+}
+
+function csvValue(value) {
+  const text = value === undefined || value === null ? "" : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(columns, rows) {
+  const lines = [columns.join(",")];
+  for (const row of rows) {
+    lines.push(columns.map((column) => csvValue(row[column])).join(","));
+  }
+  return lines.join("\n") + "\n";
+}
+
+// JSON has no bigint, amounts are written as base unit strings
+function toJson(value) {
+  return JSON.stringify(value, (_, v) => (typeof v === "bigint" ? v.toString() : v), 2) + "\n";
+}
+
+const TOTAL_COLUMNS = Object.keys(emptyTotals());
+
+// Writes the report to outDir. CSV amounts are in whole tokens, JSON amounts in
+// base units next to the token decimals. Returns the written file paths.
+function writeReport(ledger, checks, tokens, { outDir, format = "both" }) {
+  const { formatUnits } = ethers;
+  const decimalsOf = (token) => (tokens[token] ? tokens[token].decimals : 18);
+  const formatTotals = (totals, pool) => {
+    const row = { ...totals };
+    for (const column of TOTAL_COLUMNS) {
+      const token = column === "rewardsPaid" ? pool.rewardToken : pool.stakingToken;
+      row[column] = formatUnits(totals[column], decimalsOf(token));
+    }
+    return row;
+  };
+
+  fs.mkdirSync(outDir, { recursive: true });
+  const written = [];
+  const write = (name, content) => {
+    const file = path.join(outDir, name);
+    fs.writeFileSync(file, content);
+    written.push(file);
+  };
+
+  if (format === "csv" || format === "both") {
+    const pools = Object.values(ledger.pools);
+    write(
+      "pools.csv",
+      toCsv(
+        ["poolId", "poolName", "stakingToken", "rewardToken", ...TOTAL_COLUMNS],
+        pools.map((pool) => formatTotals(pool, pool))
+      )
+    );
+    const positions = Object.values(ledger.users).flatMap((byPool) => Object.values(byPool));
+    write(
+      "users.csv",
+      toCsv(
+        ["user", "poolId", ...TOTAL_COLUMNS],
+        positions.map((position) => formatTotals(position, ledger.pools[position.poolId]))
+      )
+    );
+    write(
+      "fees.csv",
+      toCsv(
+        ["token", "symbol", "charged", "held", "swept", "feeWallet", "sentToFeeWallet"],
+        Object.values(ledger.fees).flatMap((tokenFees) => {
+          const decimals = decimalsOf(tokenFees.token);
+          const base = {
+            token: tokenFees.token,
+            symbol: tokens[tokenFees.token] && tokens[tokenFees.token].symbol,
+            charged: formatUnits(tokenFees.charged, decimals),
+            held: formatUnits(tokenFees.held, decimals),
+            swept: formatUnits(tokenFees.swept, decimals),
+          };
+          const wallets = Object.entries(tokenFees.sentToFeeWallet);
+          if (wallets.length === 0) {
+            return [base];
+          }
+          return wallets.map(([feeWallet, amount]) => ({
+            ...base,
+            feeWallet,
+            sentToFeeWallet: formatUnits(amount, decimals),
+          }));
+        })
+      )
+    );
+    write(
+      "events.csv",
+      toCsv(
+        ["blockNumber", "timestamp", "transactionHash", "logIndex", "event", "poolId", "user", "token", "amount", "netAmount", "fee", "penalty"],
+        ledger.events.map((event) => {
+          const pool = ledger.pools[event.poolId] || {};
+          const token = event.token || (event.event === "RewardPaid" ? pool.rewardToken : pool.stakingToken);
+          const row = { ...event, token };
+          for (const column of ["amount", "netAmount", "fee", "penalty"]) {
+            if (typeof event[column] === "bigint") {
+              row[column] = formatUnits(event[column], decimalsOf(token));
+            }
+          }
+          return row;
+        })
+      )
+    );
+    write("reconciliation.csv", toCsv(["check", "subject", "onChain", "ledger", "ok"], checks));
+  }
+
+  if (format === "json" || format === "both") {
+    const { events, ...totals } = ledger;
+    write("ledger.json", toJson({ ...totals, tokens, reconciliation: checks, events }));
+  }
+
+  return written;
+}
+
+module.exports = {
+  LEDGER_EVENTS,
+  fetchEvents,
+  buildLedger,
+  reconcile,
+  readTokens,
+  toCsv,
+  writeReport,
+};
@@ -0,0 +1,47 @@
+const ERC20_ABI = [
+  "function decimals() view returns (uint8)",
+  "function symbol() view returns (string)",
+  "function balanceOf(address) view returns (uint256)",
+  "function allowance(address, address) view returns (uint256)",
+  "function approve(address, uint256) returns (bool)",
+];
+
+// Address StakingContract uses for native ETH as staking or reward token
+const NATIVE_TOKEN = "0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE";
+
+function erc20(ethers, address, runner) {
+  return new ethers.Contract(address, ERC20_ABI, runner);
+}
+
+function isNativeToken(address) {
+  return String(address).toLowerCase() === NATIVE_TOKEN.toLowerCase();
+}
+
+async function tokenDecimals(ethers, tokenAddress) {
+  if (isNativeToken(tokenAddress)) {
+    return 18;
+  }
+  return Number(await erc20(ethers, tokenAddress, ethers.provider).decimals());
+}
+
+// Converts a human readable amount ("1000.5") into base units using the
+// token's own decimals. Values that are already bigint are passed through.
+async function parseTokenAmount(ethers, tokenAddress, amount) {
+  if (typeof amount === "bigint") {
+    return amount;
+  }
+  return ethers.parseUnits(String(amount), await tokenDecimals(ethers, tokenAddress));
+}
+
+async function formatTokenAmount(ethers, tokenAddress, amount) {
+  return ethers.formatUnits(amount, await tokenDecimals(ethers, tokenAddress));
+}
+
+module.exports = {
+  ERC20_ABI,
+  NATIVE_TOKEN,
+  erc20,
+  isNativeToken,
+  parseTokenAmount,
+  formatTokenAmount,
+};
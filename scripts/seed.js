@@ -0,0 +1,137 @@
+// Populates a local Hardhat node with pools and a month of staking activity,
+// covering every event the ledger report indexes: stakes, claims, partial and
+// full unstakes with fees, a lock tier penalty, compounding, an emergency
+// withdrawal, fees held by the contract and swept, fees sent to a fee wallet
+// set half way through, and a pool staking native ETH.
+//
+//   npx hardhat node
+//   npx hardhat run scripts/seed.js --network localhost
+//   npx hardhat report:ledger --network localhost
+//
+// Deploys its own mock tokens and proxy and records the proxy in
+// deployments/<network>.json. It moves the chain clock forward, so it refuses
+// to run anywhere but a local chain.
+const hre = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { writeDeployment, deploymentsFile } = require("./lib/deployments");
+const { NATIVE_TOKEN } = require("./lib/tokens");
+
+const DAY = 24 * 60 * 60;
+const LOCAL_CHAIN_ID = 31337n;
+
+async function executeScheduled(stakingContract, tx) {
+  const receipt = await (await tx).wait();
+  const { changeId } = receipt.logs
+    .map((log) => stakingContract.interface.parseLog(log))
+    .find((event) => event && event.name === "ChangeScheduled").args;
+  await (await stakingContract.executeChange(changeId)).wait();
+}
+
+async function seed() {
+  const { ethers, upgrades } = hre;
+  const [admin, feeWallet, alice, bob, carol] = await ethers.getSigners();
+  const { parseEther, parseUnits } = ethers;
+
+  const StakingContract = await ethers.getContractFactory("StakingContract");
+  const stakingContract = await upgrades.deployProxy(StakingContract, [], { kind: "uups" });
+  await stakingContract.waitForDeployment();
+  const stakingToken = await ethers.deployContract("StakingToken");
+  const rewardToken = await ethers.deployContract("RewardToken");
+  const usdc = await ethers.deployContract("DecimalsToken", ["USD Coin", "USDC", 6]);
+
+  const pools = [
+    { name: "STK 90 days", stakingToken, rewardToken, apy: 10, validity: DAY * 90, rewards: parseEther("10000") },
+    { name: "STK compounding", stakingToken, rewardToken: stakingToken, apy: 8, validity: DAY * 90, rewards: parseEther("5000") },
+    { name: "USDC 60 days", stakingToken: usdc, rewardToken, apy: 12, validity: DAY * 60, rewards: parseEther("5000") },
+    { name: "ETH 30 days", stakingToken: NATIVE_TOKEN, rewardToken, apy: 5, validity: DAY * 30, rewards: parseEther("1000") },
+  ];
+  for (const [poolId, pool] of pools.entries()) {
+    await (await pool.rewardToken.approve(stakingContract.target, pool.rewards)).wait();
+    await (
+      await stakingContract.addPool(pool.name, pool.apy, pool.stakingToken, pool.rewardToken, pool.validity, pool.rewards)
+    ).wait();
+    await (await stakingContract.startStaking(poolId)).wait();
+  }
+  // 30 days at 2x, 5% penalty for leaving early
+  await (await stakingContract.addLockTier(0, DAY * 30, 20000, 500)).wait();
+
+  for (const user of [alice, bob, carol]) {
+    await (await stakingToken.transfer(user, parseEther("5000"))).wait();
+    await (await usdc.transfer(user, parseUnits("5000", 6))).wait();
+    await (await stakingToken.connect(user).approve(stakingContract.target, ethers.MaxUint256)).wait();
+    await (await usdc.connect(user).approve(stakingContract.target, ethers.MaxUint256)).wait();
+  }
+
+  await (await stakingContract.connect(alice).stake(0, parseEther("1000"))).wait();
+  await (await stakingContract.connect(bob).stakeLocked(0, parseEther("500"), 1)).wait();
+  await (await stakingContract.connect(carol).stake(1, parseEther("2000"))).wait();
+  await (await stakingContract.connect(alice).stake(2, parseUnits("1500", 6))).wait();
+  await (await stakingContract.connect(bob).stake(2, parseUnits("300", 6))).wait();
+  await (await stakingContract.connect(carol).stake(3, parseEther("2"), { value: parseEther("2") })).wait();
+
+  // no fee wallet yet, fees stay in the contract
+  await time.increase(DAY * 10);
+  await (await stakingContract.connect(alice).claimRewards(0)).wait();
+  await (await stakingContract.connect(carol).compound(1)).wait();
+  await (await stakingContract.connect(bob).unStake(0)).wait();
+
+  await executeScheduled(stakingContract, stakingContract.scheduleFeeWalletUpdate(feeWallet));
+
+  await time.increase(DAY * 15);
+  await (await stakingContract.connect(alice).withdraw(0, parseEther("400"))).wait();
+  await (await stakingContract.connect(bob).unStake(2)).wait();
+  await (await stakingContract.connect(carol).claimRewards(1)).wait();
+  await (await stakingContract.connect(carol).withdraw(3, parseEther("1"))).wait();
+  await (await stakingContract.sweepFees(stakingToken, feeWallet)).wait();
+
+  await time.increase(DAY * 5);
+  await (await stakingContract.connect(alice).emergencyWithdraw(2)).wait();
+  await (await stakingContract.connect(carol).stake(0, parseEther("250"))).wait();
+
+  return {
+    stakingContract,
+    tokens: { stakingToken, rewardToken, usdc },
+    pools,
+    accounts: { admin, feeWallet, alice, bob, carol },
+  };
+}
+
+async function main() {
+  const { ethers, network } = hre;
+  const { chainId } = await ethers.provider.getNetwork();
+  if (chainId !== LOCAL_CHAIN_ID) {
+    throw new Error(`Refusing to seed chain ${chainId}, only local Hardhat chains can be seeded`);
+  }
+
+  const { stakingContract, pools } = await seed();
+
+  const deployment = {
+    network: network.name,
+    chainId: Number(chainId),
+    StakingContract: stakingContract.target,
+    feeWallet: await stakingContract.feeWallet(),
+    pools: {},
+  };
+  for (const [poolId, pool] of pools.entries()) {
+    deployment.pools[pool.name] = {
+      poolId,
+      stakingToken: pool.stakingToken.target || pool.stakingToken,
+      rewardToken: pool.rewardToken.target,
+    };
+  }
+  writeDeployment(network.name, deployment);
+
+  console.log(`Seeded StakingContract at ${stakingContract.target}`);
+  console.log(`Deployment written to ${deploymentsFile(network.name)}`);
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  seed,
+};
@@ -0,0 +1,87 @@
+// Upgrades the StakingContract proxy recorded in deployments/<network>.json.
+//
+//   npx hardhat run scripts/upgrade.js --network <network>
+//
+// UPGRADE_CONTRACT names the new implementation (defaults to StakingContract,
+// i.e. the current source) and UPGRADE_CALL an optional function without
+// arguments to call through the proxy right after the upgrade, such as a
+// reinitializer. The storage layout of the new implementation is checked
+// against the deployed one before anything is sent.
+//
+// Upgrades go through the timelock: the first run deploys the implementation
+// and schedules it with scheduleUpgrade. Once the delay has passed, running
+// the script again executes the change and upgrades the proxy; with a zero
+// delay both happen in one run.
+const hre = require("hardhat");
+const {
+  readDeployment,
+  writeDeployment,
+  deploymentsFile,
+} = require("./lib/deployments");
+const { CHANGE_TYPES, applyChange } = require("./lib/changes");
+
+async function main() {
+  const { ethers, upgrades, network } = hre;
+
+  const deployment = readDeployment(network.name);
+  if (!deployment.StakingContract) {
+    throw new Error(
+      `No StakingContract recorded in ${deploymentsFile(network.name)}, run scripts/deploy.js first`
+    );
+  }
+
+  const contractName = process.env.UPGRADE_CONTRACT || "StakingContract";
+  const implementation = await ethers.getContractFactory(contractName);
+
+  // validates the storage layout and deploys the implementation, or reuses
+  // the one deployed by an earlier run
+  const implementationAddress = await upgrades.prepareUpgrade(
+    deployment.StakingContract,
+    implementation,
+    { kind: "uups" }
+  );
+
+  const current = await ethers.getContractAt(
+    "StakingContract",
+    deployment.StakingContract
+  );
+  if ((await current.upgradeImplementation()) !== implementationAddress) {
+    const allowed = await applyChange(
+      current,
+      { changeType: CHANGE_TYPES.Upgrade, account: implementationAddress },
+      "scheduleUpgrade",
+      [implementationAddress],
+      `Upgrade to ${contractName} (${implementationAddress}) allowed`
+    );
+    if (!allowed) {
+      console.log("Run the script again once the change is executable");
+      return;
+    }
+  }
+
+  const options = { kind: "uups" };
+  if (process.env.UPGRADE_CALL) {
+    options.call = process.env.UPGRADE_CALL;
+  }
+  const stakingContract = await upgrades.upgradeProxy(
+    deployment.StakingContract,
+    implementation,
+    options
+  );
+  await stakingContract.waitForDeployment();
+
+  deployment.implementation = await upgrades.erc1967.getImplementationAddress(
+    deployment.StakingContract
+  );
+  writeDeployment(network.name, deployment);
+  console.log(
+    `StakingContract at ${deployment.StakingContract} upgraded to ${contractName} (${deployment.implementation})`
+  );
+}
+
+// We recommend this pattern to be able to use async/await everywhere
+// and properly handle errors.
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,264 @@
+// Client for a deployed StakingContract, usable from scripts and Node based
+// frontends with any ethers v6 provider or signer.
+//
+//   const { StakingClient } = require("./sdk");
+//   const client = StakingClient.fromDeployment("sepolia", signer);
+//   await client.stake(0, "100.5"); // approves the staking token if needed
+//
+// Pools of native ETH (NATIVE_TOKEN as staking token) are staked by sending
+// the amount along with the call, no approval involved.
+// Amounts are taken either as bigint base units or as whole token strings or
+// numbers ("100.5"), converted with the decimals of the token involved. The
+// contract ABI ships in sdk/abi, scripts/export-abi.js refreshes it.
+const ethers = require("ethers");
+const { readDeployment } = require("../scripts/lib/deployments");
+const { erc20, isNativeToken } = require("../scripts/lib/tokens");
+const { ERROR_MESSAGES } = require("../scripts/lib/errors");
+const { PoolNotExistsError, toStakingError } = require("./errors");
+
+const STAKING_CONTRACT_ABI = require("./abi/StakingContract.json");
+
+// Events subscribe() accepts and the pool token their amounts are paid in
+const EVENT_TOKENS = {
+  Staked: "stakingToken",
+  UnStaked: "stakingToken",
+  RewardPaid: "rewardToken",
+};
+
+class StakingClient {
+  /**
+   * @param {string} address StakingContract proxy address
+   * @param {ethers.ContractRunner} runner signer for transactions, or a provider for reads only
+   * @param {object} [options]
+   * @param {Array} [options.abi] StakingContract ABI, defaults to the one shipped in sdk/abi
+   * @param {boolean} [options.autoApprove=true] approve the staking token before staking when the allowance is short
+   */
+  constructor(address, runner, { abi, autoApprove = true } = {}) {
+    this.address = address;
+    this.runner = runner;
+    this.autoApprove = autoApprove;
+    this.contract = new ethers.Contract(address, abi || STAKING_CONTRACT_ABI, runner);
+    this._tokens = new Map();
+  }
+
+  // Client for the proxy recorded in deployments/<network>.json
+  static fromDeployment(networkName, runner, options) {
+    const { StakingContract } = readDeployment(networkName);
+    if (!StakingContract) {
+      throw new Error(`No StakingContract recorded for ${networkName}`);
+    }
+    return new StakingClient(StakingContract, runner, options);
+  }
+
+  /**
+   * Stakes into a pool, approving the staking token first when needed or
+   * sending the amount as value for ETH pools.
+   * @param {number|bigint} poolId
+   * @param {bigint|string|number} amount
+   * @param {object} [options]
+   * @param {number|bigint} [options.tierId] lock tier, stakes through stakeLocked when given
+   * @returns {Promise<ethers.TransactionReceipt>}
+   */
+  async stake(poolId, amount, { tierId } = {}) {
+    const { stakingToken } = await this.pool(poolId);
+    const value = await this.parseAmount(stakingToken, amount);
+    const native = isNativeToken(stakingToken);
+
+    if (this.autoApprove && !native) {
+      await this.ensureAllowance(stakingToken, value);
+    }
+    const overrides = { value: native ? value : 0n };
+    if (tierId === undefined) {
+      return this._send("stake", [poolId, value, overrides]);
+    }
+    return this._send("stakeLocked", [poolId, value, tierId, overrides]);
+  }
+
+  /**
+   * Claims the pending rewards of the signer.
+   * @param {number|bigint} poolId
+   * @returns {Promise<ethers.TransactionReceipt>}
+   */
+  async claim(poolId) {
+    return this._send("claimRewards", [poolId]);
+  }
+
+  /**
+   * Withdraws the whole stake of the signer along with its pending rewards.
+   * @param {number|bigint} poolId
+   * @returns {Promise<ethers.TransactionReceipt>}
+   */
+  async unstake(poolId) {
+    return this._send("unStake", [poolId]);
+  }
+
+  /**
+   * Withdraws part of the stake, the rest keeps earning.
+   * @param {number|bigint} poolId
+   * @param {bigint|string|number} amount
+   * @returns {Promise<ethers.TransactionReceipt>}
+   */
+  async withdraw(poolId, amount) {
+    const { stakingToken } = await this.pool(poolId);
+    return this._send("withdraw", [poolId, await this.parseAmount(stakingToken, amount)]);
+  }
+
+  /**
+   * @param {number|bigint} poolId
+   * @returns {Promise<object>} the pools(poolId) getter as a plain object
+   */
+  async pool(poolId) {
+    const pool = await this._call("pools", [poolId]);
+    if (!pool.poolExists) {
+      // the getter returns an empty pool rather than reverting
+      throw new PoolNotExistsError(ERROR_MESSAGES.PoolNotExists, { code: "PoolNotExists" });
+    }
+    return pool.toObject();
+  }
+
+  /**
+   * Stake and pending rewards of an account, as base units and formatted with
+   * the token decimals.
+   * @param {number|bigint} poolId
+   * @param {string} [account] defaults to the signer, required with a provider
+   * @returns {Promise<object>}
+   */
+  async position(poolId, account) {
+    if (!account && typeof this.runner.getAddress !== "function") {
+      throw new TypeError("position needs an account when the client reads through a provider");
+    }
+    const user = account || (await this.runner.getAddress());
+    const pool = await this.pool(poolId);
+    const [position, pendingRewards] = await Promise.all([
+      this._call("users", [user, poolId]),
+      this._call("viewRewards", [user, poolId]),
+    ]);
+
+    return {
+      ...position.toObject(),
+      pendingRewards,
+      formatted: {
+        stakedAmount: await this.formatAmount(pool.stakingToken, position.stakedAmount),
+        pendingRewards: await this.formatAmount(pool.rewardToken, pendingRewards),
+      },
+    };
+  }
+
+  // Approves amount when the allowance of the signer falls short of it,
+  // returns the approval receipt or undefined
+  async ensureAllowance(tokenAddress, amount) {
+    const owner = await this.runner.getAddress();
+    const token = erc20(ethers, tokenAddress, this.runner);
+    const allowance = await token.allowance(owner, this.address);
+    if (allowance >= amount) {
+      return undefined;
+    }
+    return (await token.approve(this.address, amount)).wait();
+  }
+
+  /**
+   * @param {string} tokenAddress
+   * @param {bigint|string|number} amount whole tokens, bigint is taken as base units
+   * @returns {Promise<bigint>}
+   */
+  async parseAmount(tokenAddress, amount) {
+    if (typeof amount === "bigint") {
+      return amount;
+    }
+    const { decimals } = await this.token(tokenAddress);
+    return ethers.parseUnits(String(amount), decimals);
+  }
+
+  /**
+   * @param {string} tokenAddress
+   * @param {bigint} amount base units
+   * @returns {Promise<string>} whole tokens
+   */
+  async formatAmount(tokenAddress, amount) {
+    const { decimals } = await this.token(tokenAddress);
+    return ethers.formatUnits(amount, decimals);
+  }
+
+  // Decimals and symbol of a token, read once per client
+  async token(tokenAddress) {
+    if (isNativeToken(tokenAddress)) {
+      return { address: tokenAddress, decimals: 18, symbol: "ETH" };
+    }
+    const key = tokenAddress.toLowerCase();
+    if (!this._tokens.has(key)) {
+      const contract = erc20(ethers, tokenAddress, this.runner);
+      const lookup = Promise.all([contract.decimals(), contract.symbol()]).then(
+        ([decimals, symbol]) => ({ address: tokenAddress, decimals: Number(decimals), symbol })
+      );
+      // a failed lookup is not cached
+      lookup.catch(() => this._tokens.delete(key));
+      this._tokens.set(key, lookup);
+    }
+    return this._tokens.get(key);
+  }
+
+  /**
+   * Calls listener for every Staked, UnStaked or RewardPaid event, optionally
+   * only for one pool or user. The listener gets the event arguments, their
+   * amounts formatted with the token decimals and the raw log.
+   * @param {"Staked"|"UnStaked"|"RewardPaid"} eventName
+   * @param {function(object): void} listener
+   * @param {object} options
+   * @param {function(Error): void} options.onError gets errors thrown while
+   * handling an event, the client does not log them itself
+   * @param {number|bigint} [options.poolId]
+   * @param {string} [options.user]
+   * @returns {Promise<function(): Promise<void>>} stops the subscription
+   */
+  async subscribe(eventName, listener, { poolId, user, onError } = {}) {
+    const tokenField = EVENT_TOKENS[eventName];
+    if (!tokenField) {
+      throw new Error(
+        `Unknown event ${eventName}, expected one of ${Object.keys(EVENT_TOKENS).join(", ")}`
+      );
+    }
+    if (typeof onError !== "function") {
+      throw new TypeError("subscribe needs an onError function for errors raised by the listener");
+    }
+
+    const filter = this.contract.filters[eventName](user ?? null, poolId ?? null);
+    const handler = async (...args) => {
+      const payload = args[args.length - 1];
+      try {
+        const event = { name: eventName, ...payload.args.toObject(), log: payload.log };
+        const pool = await this.pool(event.poolId);
+        event.formatted = { amount: await this.formatAmount(pool[tokenField], event.amount) };
+        if (event.netAmount !== undefined) {
+          event.formatted.netAmount = await this.formatAmount(pool[tokenField], event.netAmount);
+        }
+        await listener(event);
+      } catch (error) {
+        onError(error);
+      }
+    };
+
+    await this.contract.on(filter, handler);
+    return () => this.contract.off(filter, handler);
+  }
+
+  async _call(method, args) {
+    try {
+      return await this.contract.getFunction(method)(...args);
+    } catch (error) {
+      throw toStakingError(this.contract.interface, error);
+    }
+  }
+
+  async _send(method, args) {
+    try {
+      const tx = await this.contract.getFunction(method)(...args);
+      return await tx.wait();
+    } catch (error) {
+      throw toStakingError(this.contract.interface, error);
+    }
+  }
+}
+
+module.exports = {
+  StakingClient,
+};
@@ -0,0 +1,73 @@
+// Typed errors thrown by StakingClient. Every custom error of StakingContract
+// gets its own StakingError subclass, named after the error with an Error
+// suffix, so callers can branch with instanceof or on error.code:
+//
+//   try {
+//     await client.unstake(poolId);
+//   } catch (error) {
+//     if (error instanceof errors.NoAmountStakedError) { ... }
+//   }
+const {
+  ERROR_MESSAGES,
+  findRevertData,
+} = require("../scripts/lib/errors");
+
+class StakingError extends Error {
+  // code is the custom error name, or "Error" for a revert reason string.
+  // args holds the decoded custom error arguments.
+  constructor(message, { code, args = [], cause } = {}) {
+    super(message, { cause });
+    this.name = this.constructor.name;
+    this.code = code;
+    this.args = args;
+  }
+}
+
+const errorClasses = {};
+for (const code of Object.keys(ERROR_MESSAGES)) {
+  const className = `${code}Error`;
+  // computed key so the class reports its own name
+  errorClasses[className] = {
+    [className]: class extends StakingError {},
+  }[className];
+}
+
+// Converts an error thrown by a StakingContract call into a StakingError.
+// Errors that carry no revert data from the contract, such as network
+// failures, are returned unchanged.
+function toStakingError(contractInterface, error) {
+  if (error instanceof StakingError) {
+    return error;
+  }
+  const data = findRevertData(error);
+  if (!data || data === "0x") {
+    return error;
+  }
+
+  let parsed;
+  try {
+    parsed = contractInterface.parseError(data);
+  } catch (_) {
+    // raw data from another contract, nothing to decode
+  }
+  if (!parsed) {
+    return error;
+  }
+
+  if (parsed.name === "Error") {
+    return new StakingError(parsed.args[0], { code: "Error", cause: error });
+  }
+  const ErrorClass = errorClasses[`${parsed.name}Error`] || StakingError;
+  const message = ERROR_MESSAGES[parsed.name] || parsed.name;
+  return new ErrorClass(message, {
+    code: parsed.name,
+    args: [...parsed.args],
+    cause: error,
+  });
+}
+
+module.exports = {
+  StakingError,
+  ...errorClasses,
+  toStakingError,
+};
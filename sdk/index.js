@@ -0,0 +1,7 @@
+const { StakingClient } = require("./StakingClient");
+const errors = require("./errors");
+
+module.exports = {
+  StakingClient,
+  errors,
+};
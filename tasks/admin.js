@@ -0,0 +1,343 @@
+// Hardhat tasks wrapping the owner functions of StakingContract.
+//
+//   npx hardhat pool:start --pool 0 --network <network>
+//
+// Every task takes the contract address through --contract and falls back to
+// the address recorded in deployments/<network>.json. Passing --dry-run only
+// simulates the call against the current chain state.
+const { task, types } = require("hardhat/config");
+const { readDeployment } = require("../scripts/lib/deployments");
+const { erc20, isNativeToken, parseTokenAmount } = require("../scripts/lib/tokens");
+const { decodeError } = require("../scripts/lib/errors");
+
+async function getStakingContract(hre, address) {
+  const contractAddress =
+    address || readDeployment(hre.network.name).StakingContract;
+  if (!contractAddress) {
+    throw new Error(
+      `No StakingContract address given and none recorded for ${hre.network.name}, pass --contract`
+    );
+  }
+  return hre.ethers.getContractAt("StakingContract", contractAddress);
+}
+
+// Sends (or with dryRun only simulates) an owner call, printing a readable
+// message when the contract reverts.
+async function execute(stakingContract, method, args, dryRun) {
+  const fn = stakingContract.getFunction(method);
+  try {
+    if (dryRun) {
+      await fn.staticCall(...args);
+      const gas = await fn.estimateGas(...args);
+      console.log(`[dry-run] ${method} would succeed (~${gas} gas)`);
+      return;
+    }
+    const tx = await fn(...args);
+    const receipt = await tx.wait();
+    console.log(`${method} confirmed in block ${receipt.blockNumber} (${tx.hash})`);
+    return receipt;
+  } catch (error) {
+    throw new Error(`${method} failed: ${decodeError(stakingContract.interface, error)}`);
+  }
+}
+
+// Approves the contract to pull amount of token from the signer when the
+// current allowance is too low. Native ETH is sent as value and needs no
+// approval. A dry run can not simulate a call that needs an approval first,
+// so it checks what it can, the balance and the approval itself, says the
+// call was not simulated and returns false.
+async function ensureAllowance(hre, stakingContract, tokenAddress, amount, dryRun) {
+  if (isNativeToken(tokenAddress)) {
+    return true;
+  }
+  const [signer] = await hre.ethers.getSigners();
+  const token = erc20(hre.ethers, tokenAddress, signer);
+  const allowance = await token.allowance(signer.address, stakingContract.target);
+  if (allowance >= amount) {
+    return true;
+  }
+  if (dryRun) {
+    const balance = await token.balanceOf(signer.address);
+    if (balance < amount) {
+      throw new Error(`${signer.address} holds ${balance} of ${tokenAddress}, ${amount} needed`);
+    }
+    await token.approve.staticCall(stakingContract.target, amount);
+    console.log(
+      `[dry-run] approval of ${amount} for ${tokenAddress} would succeed, the call itself was NOT simulated ` +
+        "as it needs the approval first"
+    );
+    return false;
+  }
+  await (await token.approve(stakingContract.target, amount)).wait();
+  return true;
+}
+
+// Sends a schedule* call and prints the ID and earliest execution time of
+// the change, to be applied later with change:execute
+async function schedule(stakingContract, method, args, dryRun) {
+  const receipt = await execute(stakingContract, method, args, dryRun);
+  if (receipt) {
+    const scheduled = receipt.logs
+      .map((log) => stakingContract.interface.parseLog(log))
+      .find((event) => event && event.name === "ChangeScheduled");
+    const { changeId, eta } = scheduled.args;
+    console.log(
+      `Change ${changeId} executable after ${new Date(Number(eta) * 1000).toISOString()}`
+    );
+  }
+}
+
+const ROLES = {
+  admin: "DEFAULT_ADMIN_ROLE",
+  "pool-manager": "POOL_MANAGER_ROLE",
+  pauser: "PAUSER_ROLE",
+  treasury: "TREASURY_ROLE",
+};
+
+async function roleId(stakingContract, role) {
+  if (!ROLES[role]) {
+    throw new Error(`Unknown role ${role}, expected one of ${Object.keys(ROLES).join(", ")}`);
+  }
+  return stakingContract.getFunction(ROLES[role])();
+}
+
+function adminTask(name, description) {
+  return task(name, description)
+    .addOptionalParam("contract", "StakingContract address")
+    .addFlag("dryRun", "Simulate the call without sending a transaction");
+}
+
+adminTask("pool:add", "Creates a pool and funds its rewards")
+  .addParam("name", "Pool name")
+  .addParam("stakingToken", "Staking token address")
+  .addParam("rewardToken", "Reward token address")
+  .addParam("apy", "Yearly reward percentage", undefined, types.int)
+  .addParam("validity", "Seconds the pool stays open once started", undefined, types.int)
+  .addParam("allowance", "Reward tokens to fund, in whole tokens")
+  .setAction(async (args, hre) => {
+    const stakingContract = await getStakingContract(hre, args.contract);
+    const allowanceAmount = await parseTokenAmount(
+      hre.ethers,
+      args.rewardToken,
+      args.allowance
+    );
+
+    // addPool pulls the reward allowance from the caller
+    if (!(await ensureAllowance(hre, stakingContract, args.rewardToken, allowanceAmount, args.dryRun))) {
+      return;
+    }
+
+    const receipt = await execute(
+      stakingContract,
+      "addPool",
+      [
+        args.name,
+        args.apy,
+        args.stakingToken,
+        args.rewardToken,
+        args.validity,
+        allowanceAmount,
+        { value: isNativeToken(args.rewardToken) ? allowanceAmount : 0n },
+      ],
+      args.dryRun
+    );
+    if (receipt) {
+      const poolAdded = receipt.logs
+        .map((log) => stakingContract.interface.parseLog(log))
+        .find((event) => event && event.name === "PoolAdded");
+      console.log(`Pool "${args.name}" has ID ${poolAdded.args.poolId}`);
+    }
+  });
+
+adminTask("pool:start", "Starts staking on a pool")
+  .addParam("pool", "Pool ID", undefined, types.int)
+  .setAction(async (args, hre) => {
+    const stakingContract = await getStakingContract(hre, args.contract);
+    await execute(stakingContract, "startStaking", [args.pool], args.dryRun);
+  });
+
+// matches the Action enum of StakingContract
+const ACTIONS = {
+  stake: 0,
+  claim: 1,
+  unstake: 2,
+};
+
+function pauseTask(name, description, paused) {
+  return adminTask(name, description)
+    .addParam("pool", "Pool ID", undefined, types.int)
+    .addParam("action", `Action to ${paused ? "pause" : "resume"}: ${Object.keys(ACTIONS).join(", ")}`)
+    .setAction(async (args, hre) => {
+      if (ACTIONS[args.action] === undefined) {
+        throw new Error(`Unknown action ${args.action}, expected one of ${Object.keys(ACTIONS).join(", ")}`);
+      }
+      const stakingContract = await getStakingContract(hre, args.contract);
+      await execute(stakingContract, "setPaused", [args.pool, ACTIONS[args.action], paused], args.dryRun);
+    });
+}
+
+pauseTask("pool:pause", "Pauses staking, claims or unstaking on a pool", true);
+pauseTask("pool:resume", "Resumes staking, claims or unstaking on a pool", false);
+
+adminTask("pool:apy", "Schedules a new APY for a pool, rewards accrued so far keep the old rate")
+  .addParam("pool", "Pool ID", undefined, types.int)
+  .addParam("apy", "New yearly reward percentage", undefined, types.int)
+  .setAction(async (args, hre) => {
+    const stakingContract = await getStakingContract(hre, args.contract);
+    await schedule(stakingContract, "scheduleAPYUpdate", [args.pool, args.apy], args.dryRun);
+  });
+
+adminTask("pool:add-tier", "Adds a lock tier to a pool")
+  .addParam("pool", "Pool ID", undefined, types.int)
+  .addParam("lockDuration", "Seconds a position stays locked", undefined, types.int)
+  .addParam("multiplier", "Reward multiplier in basis points, 10000 is 1x", undefined, types.int)
+  .addParam("penalty", "Early withdrawal penalty in basis points", 0, types.int)
+  .setAction(async (args, hre) => {
+    const stakingContract = await getStakingContract(hre, args.contract);
+    const receipt = await execute(
+      stakingContract,
+      "addLockTier",
+      [args.pool, args.lockDuration, args.multiplier, args.penalty],
+      args.dryRun
+    );
+    if (receipt) {
+      const tierAdded = receipt.logs
+        .map((log) => stakingContract.interface.parseLog(log))
+        .find((event) => event && event.name === "LockTierAdded");
+      console.log(`Lock tier ${tierAdded.args.tierId} added to pool ${args.pool}`);
+    }
+  });
+
+adminTask("pool:fund", "Adds reward tokens to the budget of a pool")
+  .addParam("pool", "Pool ID", undefined, types.int)
+  .addParam("amount", "Reward tokens to add, in whole tokens")
+  .setAction(async (args, hre) => {
+    const stakingContract = await getStakingContract(hre, args.contract);
+    const { rewardToken } = await stakingContract.pools(args.pool);
+    const amount = await parseTokenAmount(hre.ethers, rewardToken, args.amount);
+
+    // notifyRewardAmount pulls the reward tokens from the caller
+    if (!(await ensureAllowance(hre, stakingContract, rewardToken, amount, args.dryRun))) {
+      return;
+    }
+
+    await execute(
+      stakingContract,
+      "notifyRewardAmount",
+      [args.pool, amount, { value: isNativeToken(rewardToken) ? amount : 0n }],
+      args.dryRun
+    );
+  });
+
+adminTask("pool:compound", "Compounds the pending rewards of a list of users")
+  .addParam("pool", "Pool ID", undefined, types.int)
+  .addParam("users", "Comma separated user addresses")
+  .setAction(async (args, hre) => {
+    const stakingContract = await getStakingContract(hre, args.contract);
+    const users = args.users.split(",").map((user) => user.trim());
+    await execute(stakingContract, "compoundFor", [args.pool, users], args.dryRun);
+  });
+
+adminTask("funds:recover", "Withdraws tokens held above staked principal and owed rewards")
+  .addParam("asset", "Token to recover")
+  .addParam("to", "Address receiving the surplus")
+  .setAction(async (args, hre) => {
+    const stakingContract = await getStakingContract(hre, args.contract);
+    await execute(stakingContract, "recoverSurplus", [args.asset, args.to], args.dryRun);
+  });
+
+adminTask("emergency:pause", "Halts staking, claims and unstaking on every pool")
+  .setAction(async (args, hre) => {
+    const stakingContract = await getStakingContract(hre, args.contract);
+    await execute(stakingContract, "setEmergencyPause", [true], args.dryRun);
+  });
+
+adminTask("emergency:resume", "Lifts the emergency pause, per pool pauses stay in place")
+  .setAction(async (args, hre) => {
+    const stakingContract = await getStakingContract(hre, args.contract);
+    await execute(stakingContract, "setEmergencyPause", [false], args.dryRun);
+  });
+
+adminTask("fee:set-wallet", "Schedules a new wallet receiving unstake fees")
+  .addParam("wallet", "Fee wallet address")
+  .setAction(async (args, hre) => {
+    const stakingContract = await getStakingContract(hre, args.contract);
+    await schedule(stakingContract, "scheduleFeeWalletUpdate", [args.wallet], args.dryRun);
+  });
+
+adminTask("forwarder:set", "Schedules a new ERC-2771 forwarder trusted to relay user calls")
+  .addParam("forwarder", "Forwarder address, the zero address disables relaying")
+  .setAction(async (args, hre) => {
+    const stakingContract = await getStakingContract(hre, args.contract);
+    await schedule(stakingContract, "scheduleTrustedForwarderUpdate", [args.forwarder], args.dryRun);
+  });
+
+adminTask("token:flag-rebasing", "Flags a rebasing token so addPool refuses it")
+  .addParam("token", "Token address")
+  .addFlag("unflag", "Lift the flag instead")
+  .setAction(async (args, hre) => {
+    const stakingContract = await getStakingContract(hre, args.contract);
+    await execute(stakingContract, "setRebasingToken", [args.token, !args.unflag], args.dryRun);
+  });
+
+adminTask("fee:set", "Schedules a new unstake fee for a pool")
+  .addParam("pool", "Pool ID", undefined, types.int)
+  .addParam("bps", "Unstake fee in basis points, 50 is 0.5%", undefined, types.int)
+  .addFlag("decay", "Decay the fee linearly to zero at the pool expiry")
+  .setAction(async (args, hre) => {
+    const stakingContract = await getStakingContract(hre, args.contract);
+    await schedule(stakingContract, "scheduleFeeUpdate", [args.pool, args.bps, args.decay], args.dryRun);
+  });
+
+adminTask("fee:sweep", "Sends the fees held while no fee wallet was set")
+  .addParam("token", "Token to sweep")
+  .addParam("to", "Address receiving the fees")
+  .setAction(async (args, hre) => {
+    const stakingContract = await getStakingContract(hre, args.contract);
+    await execute(stakingContract, "sweepFees", [args.token, args.to], args.dryRun);
+  });
+
+adminTask("timelock:set-delay", "Schedules a new delay for timelocked changes")
+  .addParam("delay", "Delay in seconds", undefined, types.int)
+  .setAction(async (args, hre) => {
+    const stakingContract = await getStakingContract(hre, args.contract);
+    await schedule(stakingContract, "scheduleTimelockDelayUpdate", [args.delay], args.dryRun);
+  });
+
+adminTask("change:execute", "Applies a scheduled change once its delay has passed")
+  .addParam("id", "Change ID", undefined, types.int)
+  .setAction(async (args, hre) => {
+    const stakingContract = await getStakingContract(hre, args.contract);
+    await execute(stakingContract, "executeChange", [args.id], args.dryRun);
+  });
+
+adminTask("change:cancel", "Drops a scheduled change")
+  .addParam("id", "Change ID", undefined, types.int)
+  .setAction(async (args, hre) => {
+    const stakingContract = await getStakingContract(hre, args.contract);
+    await execute(stakingContract, "cancelChange", [args.id], args.dryRun);
+  });
+
+adminTask("role:grant", "Grants a role to an account")
+  .addParam("role", `One of ${Object.keys(ROLES).join(", ")}`)
+  .addParam("account", "Account address")
+  .setAction(async (args, hre) => {
+    const stakingContract = await getStakingContract(hre, args.contract);
+    const role = await roleId(stakingContract, args.role);
+    await execute(stakingContract, "grantRole", [role, args.account], args.dryRun);
+  });
+
+adminTask("role:revoke", "Revokes a role from an account")
+  .addParam("role", `One of ${Object.keys(ROLES).join(", ")}`)
+  .addParam("account", "Account address")
+  .setAction(async (args, hre) => {
+    const stakingContract = await getStakingContract(hre, args.contract);
+    const role = await roleId(stakingContract, args.role);
+    await execute(stakingContract, "revokeRole", [role, args.account], args.dryRun);
+  });
+
+module.exports = {
+  getStakingContract,
+  execute,
+  ensureAllowance,
+};
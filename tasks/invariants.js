@@ -0,0 +1,33 @@
+// Hardhat task running the property tests in test/Invariants.js.
+//
+//   npx hardhat test:invariants --runs 20 --steps 100
+//   npx hardhat test:invariants --seed 1724955433
+//
+// Without --runs or --seed the fixed seeds of the test suite run, --runs
+// picks that many random seeds instead. Every run is named after its seed
+// and a failing run prints the command replaying it, --seed runs that
+// sequence alone.
+const path = require("path");
+const { task, types } = require("hardhat/config");
+
+task("test:invariants", "Runs the invariant checks over random call sequences")
+  .addOptionalParam("seed", "Replays the run with this seed", undefined, types.int)
+  .addOptionalParam("runs", "Runs this many random seeds instead of the fixed ones", undefined, types.int)
+  .addOptionalParam("steps", "Calls per run", undefined, types.int)
+  .setAction(async (args, hre) => {
+    // read by test/Invariants.js when mocha loads it
+    const settings = {
+      INVARIANT_SEED: args.seed,
+      INVARIANT_RUNS: args.runs,
+      INVARIANT_STEPS: args.steps,
+    };
+    for (const [name, value] of Object.entries(settings)) {
+      if (value !== undefined) {
+        process.env[name] = String(value);
+      }
+    }
+
+    return hre.run("test", {
+      testFiles: [path.join(hre.config.paths.tests, "Invariants.js")],
+    });
+  });
@@ -0,0 +1,84 @@
+// Hardhat task rebuilding the staking ledgers from contract events for the
+// monthly finance report.
+//
+//   npx hardhat report:ledger --from-block 4200000 --network <network>
+//
+// Writes pools.csv, users.csv, fees.csv, events.csv, reconciliation.csv and
+// ledger.json to reports/<network>, or to --out. The ledger totals are checked
+// against the contract state at --to-block and the task fails, after writing
+// the report, when any check does not hold.
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const { readDeployment } = require("../scripts/lib/deployments");
+const {
+  fetchEvents,
+  buildLedger,
+  reconcile,
+  readTokens,
+  writeReport,
+} = require("../scripts/lib/ledger");
+
+const FORMATS = ["csv", "json", "both"];
+
+task("report:ledger", "Exports pool, user and fee ledgers rebuilt from contract events")
+  .addOptionalParam("contract", "StakingContract address")
+  .addOptionalParam(
+    "fromBlock",
+    "First block to scan, the deployment block or earlier for a full reconciliation",
+    0,
+    types.int
+  )
+  .addOptionalParam("toBlock", "Last block to scan, defaults to the latest block", undefined, types.int)
+  .addOptionalParam("batchSize", "Blocks per log query", 5000, types.int)
+  .addOptionalParam("out", "Output directory, defaults to reports/<network>")
+  .addOptionalParam("format", `Output format: ${FORMATS.join(", ")}`, "both")
+  .setAction(async (args, hre) => {
+    if (!FORMATS.includes(args.format)) {
+      throw new Error(`Unknown format ${args.format}, expected one of ${FORMATS.join(", ")}`);
+    }
+    const address = args.contract || readDeployment(hre.network.name).StakingContract;
+    if (!address) {
+      throw new Error(
+        `No StakingContract address given and none recorded for ${hre.network.name}, pass --contract`
+      );
+    }
+    const stakingContract = await hre.ethers.getContractAt("StakingContract", address);
+
+    const scanned = await fetchEvents(stakingContract, {
+      fromBlock: args.fromBlock,
+      toBlock: args.toBlock,
+      batchSize: args.batchSize,
+    });
+    const ledger = buildLedger(scanned);
+    const checks = await reconcile(stakingContract, ledger);
+    const tokens = await readTokens(stakingContract, ledger);
+    const files = writeReport(ledger, checks, tokens, {
+      outDir: args.out || path.join("reports", hre.network.name),
+      format: args.format,
+    });
+
+    console.log(
+      `Indexed ${scanned.events.length} events from blocks ${scanned.fromBlock} to ${scanned.toBlock}`
+    );
+    for (const pool of Object.values(ledger.pools)) {
+      const { symbol, decimals } = tokens[pool.stakingToken];
+      console.log(
+        `  pool ${pool.poolId} ${pool.poolName}: ${hre.ethers.formatUnits(pool.netStaked, decimals)} ${symbol} staked, ` +
+          `${hre.ethers.formatUnits(pool.fees + pool.penalties, decimals)} ${symbol} in fees`
+      );
+    }
+    for (const file of files) {
+      console.log(`Wrote ${file}`);
+    }
+
+    const mismatches = checks.filter((entry) => !entry.ok);
+    if (mismatches.length > 0) {
+      const lines = mismatches.map(
+        (entry) => `  ${entry.check} for ${entry.subject}: on chain ${entry.onChain}, ledger ${entry.ledger}`
+      );
+      throw new Error(`Ledger does not reconcile with the chain:\n${lines.join("\n")}`);
+    }
+    console.log(`All ${checks.length} reconciliation checks passed`);
+
+    return { ledger, checks, files };
+  });
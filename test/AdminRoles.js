@@ -0,0 +1,271 @@
+const {
+    time,
+    loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+    DAY,
+    DEFAULT_ADMIN_ROLE,
+    POOL_MANAGER_ROLE,
+    PAUSER_ROLE,
+    TREASURY_ROLE,
+    missingRole,
+    deployStakingContract,
+} = require("./shared/fixtures");
+
+describe("StakingContract roles and timelock", function () {
+    const poolId = 0;
+
+    async function DeployStakingContract() {
+        const [admin, manager, pauser, treasury, user, feeWallet] = await ethers.getSigners();
+
+        const stakingContract = await deployStakingContract();
+        const stakingToken = await ethers.deployContract("StakingToken");
+        const rewardingToken = await ethers.deployContract("RewardToken");
+
+        // one account per role, the admin keeps only the admin role
+        await stakingContract.grantRole(POOL_MANAGER_ROLE, manager);
+        await stakingContract.grantRole(PAUSER_ROLE, pauser);
+        await stakingContract.grantRole(TREASURY_ROLE, treasury);
+        await stakingContract.renounceRole(POOL_MANAGER_ROLE, admin);
+        await stakingContract.renounceRole(PAUSER_ROLE, admin);
+        await stakingContract.renounceRole(TREASURY_ROLE, admin);
+
+        await rewardingToken.transfer(manager, ethers.parseEther("2000"));
+        await rewardingToken.connect(manager).approve(stakingContract.target, ethers.parseEther("2000"));
+        await stakingContract.connect(manager).addPool(
+            "USDT",
+            10,
+            stakingToken,
+            rewardingToken,
+            DAY * 30,
+            ethers.parseEther("1000")
+        );
+
+        await stakingToken.transfer(user, ethers.parseEther("500"));
+        await stakingToken.connect(user).approve(stakingContract.target, ethers.parseEther("500"));
+
+        return { stakingContract, stakingToken, rewardingToken, admin, manager, pauser, treasury, user, feeWallet };
+    }
+
+    // Deploys with a two day delay on every scheduled change
+    async function DeployWithTimelock() {
+        const fixture = await DeployStakingContract();
+        const { stakingContract, admin } = fixture;
+        await stakingContract.connect(admin).scheduleTimelockDelayUpdate(DAY * 2);
+        await stakingContract.connect(admin).executeChange(0);
+        return fixture;
+    }
+
+    async function schedule(contract, signer, method, args) {
+        const changeId = await contract.connect(signer)[method].staticCall(...args);
+        await contract.connect(signer)[method](...args);
+        return changeId;
+    }
+
+    describe("Roles", function () {
+        it("should give every role to the deployer", async function () {
+            const [deployer] = await ethers.getSigners();
+            const stakingContract = await deployStakingContract();
+
+            for (const role of [DEFAULT_ADMIN_ROLE, POOL_MANAGER_ROLE, PAUSER_ROLE, TREASURY_ROLE]) {
+                expect(await stakingContract.hasRole(role, deployer)).to.equal(true);
+            }
+            expect(await stakingContract.timelockDelay()).to.equal(0);
+        });
+        it("should let only the pool manager create, start and fund pools", async function () {
+            const { stakingContract, stakingToken, rewardingToken, admin, manager, pauser, treasury } =
+                await loadFixture(DeployStakingContract);
+
+            for (const account of [admin, pauser, treasury]) {
+                await expect(stakingContract.connect(account).addPool(
+                    "DAI", 10, stakingToken, rewardingToken, DAY, ethers.parseEther("1")
+                )).to.be.revertedWith(missingRole(account, POOL_MANAGER_ROLE));
+                await expect(stakingContract.connect(account).startStaking(poolId))
+                    .to.be.revertedWith(missingRole(account, POOL_MANAGER_ROLE));
+                await expect(stakingContract.connect(account).notifyRewardAmount(poolId, 1))
+                    .to.be.revertedWith(missingRole(account, POOL_MANAGER_ROLE));
+                await expect(stakingContract.connect(account).addLockTier(poolId, DAY, 10000, 0))
+                    .to.be.revertedWith(missingRole(account, POOL_MANAGER_ROLE));
+                await expect(stakingContract.connect(account).scheduleAPYUpdate(poolId, 20))
+                    .to.be.revertedWith(missingRole(account, POOL_MANAGER_ROLE));
+                await expect(stakingContract.connect(account).scheduleFeeUpdate(poolId, 100, false))
+                    .to.be.revertedWith(missingRole(account, POOL_MANAGER_ROLE));
+            }
+
+            await stakingContract.connect(manager).addLockTier(poolId, DAY, 15000, 100);
+            await stakingContract.connect(manager).notifyRewardAmount(poolId, ethers.parseEther("1"));
+            await expect(stakingContract.connect(manager).startStaking(poolId)).to.not.be.reverted;
+        });
+        it("should let only the pauser pause and resume", async function () {
+            const { stakingContract, admin, manager, pauser, treasury } = await loadFixture(DeployStakingContract);
+            await stakingContract.connect(manager).startStaking(poolId);
+
+            for (const account of [admin, manager, treasury]) {
+                for (const action of [0, 1, 2]) {
+                    await expect(stakingContract.connect(account).setPaused(poolId, action, true))
+                        .to.be.revertedWith(missingRole(account, PAUSER_ROLE));
+                }
+                await expect(stakingContract.connect(account).setEmergencyPause(true))
+                    .to.be.revertedWith(missingRole(account, PAUSER_ROLE));
+            }
+
+            for (const action of [0, 1, 2]) {
+                await stakingContract.connect(pauser).setPaused(poolId, action, true);
+                expect(await stakingContract.pausedActions(poolId, action)).to.equal(true);
+                await stakingContract.connect(pauser).setPaused(poolId, action, false);
+                expect(await stakingContract.pausedActions(poolId, action)).to.equal(false);
+            }
+
+            await stakingContract.connect(pauser).setEmergencyPause(true);
+            expect(await stakingContract.emergencyPaused()).to.equal(true);
+            await stakingContract.connect(pauser).setEmergencyPause(false);
+            expect(await stakingContract.emergencyPaused()).to.equal(false);
+            expect((await stakingContract.pools(poolId)).stakingStarted).to.equal(true);
+        });
+        it("should let only the treasury move fees and surplus", async function () {
+            const { stakingContract, stakingToken, admin, manager, pauser, treasury, feeWallet } =
+                await loadFixture(DeployStakingContract);
+
+            for (const account of [admin, manager, pauser]) {
+                await expect(stakingContract.connect(account).scheduleFeeWalletUpdate(feeWallet))
+                    .to.be.revertedWith(missingRole(account, TREASURY_ROLE));
+                await expect(stakingContract.connect(account).sweepFees(stakingToken, account))
+                    .to.be.revertedWith(missingRole(account, TREASURY_ROLE));
+                await expect(stakingContract.connect(account).recoverSurplus(stakingToken, account))
+                    .to.be.revertedWith(missingRole(account, TREASURY_ROLE));
+            }
+
+            const changeId = await schedule(stakingContract, treasury, "scheduleFeeWalletUpdate", [feeWallet.address]);
+            await expect(stakingContract.connect(treasury).executeChange(changeId))
+                .to.emit(stakingContract, "FeeWalletUpdated")
+                .withArgs(feeWallet.address);
+            expect(await stakingContract.feeWallet()).to.equal(feeWallet.address);
+
+            const stray = ethers.parseEther("5");
+            await stakingToken.transfer(stakingContract.target, stray);
+            await expect(stakingContract.connect(treasury).recoverSurplus(stakingToken, treasury))
+                .to.emit(stakingContract, "SurplusRecovered")
+                .withArgs(stakingToken.target, treasury.address, stray);
+        });
+        it("should let only the admin manage roles, the forwarder, the delay and upgrades", async function () {
+            const { stakingContract, admin, manager, pauser, treasury, user } = await loadFixture(DeployStakingContract);
+
+            for (const account of [manager, pauser, treasury]) {
+                await expect(stakingContract.connect(account).grantRole(PAUSER_ROLE, user))
+                    .to.be.revertedWith(missingRole(account, DEFAULT_ADMIN_ROLE));
+                await expect(stakingContract.connect(account).scheduleTrustedForwarderUpdate(user))
+                    .to.be.revertedWith(missingRole(account, DEFAULT_ADMIN_ROLE));
+                await expect(stakingContract.connect(account).scheduleTimelockDelayUpdate(DAY))
+                    .to.be.revertedWith(missingRole(account, DEFAULT_ADMIN_ROLE));
+                await expect(stakingContract.connect(account).scheduleUpgrade(user))
+                    .to.be.revertedWith(missingRole(account, DEFAULT_ADMIN_ROLE));
+            }
+
+            // a revoked manager loses access right away
+            await stakingContract.connect(admin).revokeRole(POOL_MANAGER_ROLE, manager);
+            await expect(stakingContract.connect(manager).startStaking(poolId))
+                .to.be.revertedWith(missingRole(manager, POOL_MANAGER_ROLE));
+
+            await stakingContract.connect(admin).grantRole(PAUSER_ROLE, user);
+            await expect(stakingContract.connect(user).setEmergencyPause(true)).to.not.be.reverted;
+        });
+    })
+
+    describe("Timelock", function () {
+        it("should delay APY changes and expose them while pending", async function () {
+            const { stakingContract, manager } = await loadFixture(DeployWithTimelock);
+
+            const changeId = await stakingContract.scheduledChangeCount();
+            const tx = stakingContract.connect(manager).scheduleAPYUpdate(poolId, 25);
+            await expect(tx).to.emit(stakingContract, "ChangeScheduled")
+                .withArgs(changeId, 0, poolId, 25, false, ethers.ZeroAddress, (await time.latest()) + 1 + DAY * 2);
+
+            const pending = await stakingContract.scheduledChanges(changeId);
+            expect(pending.value).to.equal(25);
+            expect(pending.eta).to.equal((await time.latest()) + DAY * 2);
+
+            await expect(stakingContract.connect(manager).executeChange(changeId))
+                .to.be.revertedWithCustomError(stakingContract, "ChangeNotReady");
+            expect((await stakingContract.pools(poolId)).stakeAPY).to.equal(10);
+
+            await time.increaseTo(pending.eta);
+            await expect(stakingContract.connect(manager).executeChange(changeId))
+                .to.emit(stakingContract, "PoolUpdated")
+                .withArgs(poolId, 25)
+                .and.to.emit(stakingContract, "ChangeExecuted")
+                .withArgs(changeId);
+            expect((await stakingContract.pools(poolId)).stakeAPY).to.equal(25);
+
+            // a change executes once
+            await expect(stakingContract.connect(manager).executeChange(changeId))
+                .to.be.revertedWithCustomError(stakingContract, "ChangeNotScheduled");
+        });
+        it("should delay fee and fee wallet changes", async function () {
+            const { stakingContract, manager, treasury, feeWallet } = await loadFixture(DeployWithTimelock);
+
+            const feeChange = await schedule(stakingContract, manager, "scheduleFeeUpdate", [poolId, 300, true]);
+            const walletChange = await schedule(stakingContract, treasury, "scheduleFeeWalletUpdate", [feeWallet.address]);
+
+            await expect(stakingContract.connect(manager).executeChange(feeChange))
+                .to.be.revertedWithCustomError(stakingContract, "ChangeNotReady");
+            await expect(stakingContract.connect(treasury).executeChange(walletChange))
+                .to.be.revertedWithCustomError(stakingContract, "ChangeNotReady");
+
+            await time.increase(DAY * 2);
+            await stakingContract.connect(manager).executeChange(feeChange);
+            await stakingContract.connect(treasury).executeChange(walletChange);
+
+            const config = await stakingContract.poolFees(poolId);
+            expect(config.feeBps).to.equal(300);
+            expect(config.decay).to.equal(true);
+            expect(await stakingContract.feeWallet()).to.equal(feeWallet.address);
+        });
+        it("should let only the scheduling role execute or cancel a change", async function () {
+            const { stakingContract, admin, manager, treasury, user } = await loadFixture(DeployWithTimelock);
+
+            const changeId = await schedule(stakingContract, manager, "scheduleAPYUpdate", [poolId, 25]);
+            await time.increase(DAY * 2);
+
+            for (const account of [admin, treasury, user]) {
+                await expect(stakingContract.connect(account).executeChange(changeId))
+                    .to.be.revertedWith(missingRole(account, POOL_MANAGER_ROLE));
+                await expect(stakingContract.connect(account).cancelChange(changeId))
+                    .to.be.revertedWith(missingRole(account, POOL_MANAGER_ROLE));
+            }
+        });
+        it("should allow cancelling a pending change", async function () {
+            const { stakingContract, manager } = await loadFixture(DeployWithTimelock);
+
+            const changeId = await schedule(stakingContract, manager, "scheduleAPYUpdate", [poolId, 25]);
+            await expect(stakingContract.connect(manager).cancelChange(changeId))
+                .to.emit(stakingContract, "ChangeCancelled")
+                .withArgs(changeId);
+
+            await time.increase(DAY * 2);
+            await expect(stakingContract.connect(manager).executeChange(changeId))
+                .to.be.revertedWithCustomError(stakingContract, "ChangeNotScheduled");
+            await expect(stakingContract.connect(manager).cancelChange(changeId))
+                .to.be.revertedWithCustomError(stakingContract, "ChangeNotScheduled");
+            expect((await stakingContract.pools(poolId)).stakeAPY).to.equal(10);
+        });
+        it("should run delay changes through the current delay", async function () {
+            const { stakingContract, admin } = await loadFixture(DeployWithTimelock);
+
+            await expect(stakingContract.connect(admin).scheduleTimelockDelayUpdate(DAY * 31))
+                .to.be.revertedWithCustomError(stakingContract, "InvalidDelay");
+
+            // lowering the delay has to wait out the current one
+            const changeId = await schedule(stakingContract, admin, "scheduleTimelockDelayUpdate", [0]);
+            await expect(stakingContract.connect(admin).executeChange(changeId))
+                .to.be.revertedWithCustomError(stakingContract, "ChangeNotReady");
+
+            await time.increase(DAY * 2);
+            await expect(stakingContract.connect(admin).executeChange(changeId))
+                .to.emit(stakingContract, "TimelockDelayUpdated")
+                .withArgs(0);
+            expect(await stakingContract.timelockDelay()).to.equal(0);
+        });
+    })
+});
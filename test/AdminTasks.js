@@ -0,0 +1,163 @@
+const { time, loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { DAY, STAKE, addPool, deployStakingContract, applyChange } = require("./shared/fixtures");
+const changes = require("../scripts/lib/changes");
+
+describe("Admin tasks", function () {
+    const { parseEther } = ethers;
+
+    async function DeployStakingContract() {
+        const [admin, other] = await ethers.getSigners();
+
+        const stakingContract = await deployStakingContract();
+        const stakingToken = await ethers.deployContract("StakingToken");
+        const rewardingToken = await ethers.deployContract("RewardToken");
+
+        return { stakingContract, stakingToken, rewardingToken, admin, other };
+    }
+
+    // Runs a task and returns what it printed
+    async function runTask(name, args) {
+        const { lines } = await capture(() => hre.run(name, args));
+        return lines;
+    }
+
+    async function capture(fn) {
+        const lines = [];
+        const log = console.log;
+        console.log = (...parts) => lines.push(parts.join(" "));
+        try {
+            return { result: await fn(), lines };
+        } finally {
+            console.log = log;
+        }
+    }
+
+    function poolArgs(stakingContract, stakingToken, rewardingToken, extra = {}) {
+        return {
+            contract: stakingContract.target,
+            name: "STK 30 days",
+            stakingToken: stakingToken.target,
+            rewardToken: rewardingToken.target,
+            apy: 10,
+            validity: DAY * 30,
+            allowance: "1000",
+            ...extra,
+        };
+    }
+
+    describe("pool:add", function () {
+        it("should approve the reward allowance and add the pool", async function () {
+            const { stakingContract, stakingToken, rewardingToken } = await loadFixture(DeployStakingContract);
+
+            const lines = await runTask("pool:add", poolArgs(stakingContract, stakingToken, rewardingToken));
+
+            expect(lines).to.include('Pool "STK 30 days" has ID 0');
+            expect((await stakingContract.pools(0)).poolName).to.equal("STK 30 days");
+            expect((await stakingContract.poolFunding(0)).rewardBudget).to.equal(parseEther("1000"));
+        });
+        it("should say the call was not simulated when a dry run needs an approval", async function () {
+            const { stakingContract, stakingToken, rewardingToken, admin } = await loadFixture(DeployStakingContract);
+
+            const lines = await runTask("pool:add",
+                poolArgs(stakingContract, stakingToken, rewardingToken, { dryRun: true }));
+
+            expect(lines.join("\n")).to.contain("NOT simulated");
+            expect(await stakingContract.poolCount()).to.equal(0);
+            expect(await rewardingToken.allowance(admin, stakingContract.target)).to.equal(0);
+        });
+        it("should fail a dry run the signer can not fund", async function () {
+            const { stakingContract, stakingToken, rewardingToken } = await loadFixture(DeployStakingContract);
+
+            await expect(runTask("pool:add",
+                poolArgs(stakingContract, stakingToken, rewardingToken, { allowance: "1000000000", dryRun: true })))
+                .to.be.rejectedWith("needed");
+        });
+        it("should simulate a dry run once the allowance is in place", async function () {
+            const { stakingContract, stakingToken, rewardingToken } = await loadFixture(DeployStakingContract);
+
+            await rewardingToken.approve(stakingContract.target, parseEther("1000"));
+            const lines = await runTask("pool:add",
+                poolArgs(stakingContract, stakingToken, rewardingToken, { dryRun: true }));
+
+            expect(lines.join("\n")).to.contain("[dry-run] addPool would succeed");
+            expect(await stakingContract.poolCount()).to.equal(0);
+        });
+    });
+
+    describe("Scheduled changes", function () {
+        // the deploy script's fee wallet step, with a one day timelock in place
+        async function DeployWithDelay() {
+            const fixture = await DeployStakingContract();
+            await applyChange(fixture.stakingContract, fixture.admin, "scheduleTimelockDelayUpdate", [DAY]);
+            return fixture;
+        }
+
+        // Returns whether the change was applied and what was printed
+        function setFeeWallet(stakingContract, wallet) {
+            return capture(() => changes.applyChange(stakingContract,
+                { changeType: changes.CHANGE_TYPES.FeeWallet, account: wallet },
+                "scheduleFeeWalletUpdate", [wallet], `Fee wallet set to ${wallet}`));
+        }
+
+        it("should reuse a pending change instead of scheduling it again", async function () {
+            const { stakingContract, other } = await loadFixture(DeployWithDelay);
+            const before = await stakingContract.scheduledChangeCount();
+
+            expect((await setFeeWallet(stakingContract, other.address)).result).to.equal(false);
+            const { result, lines } = await setFeeWallet(stakingContract, other.address);
+            expect(result).to.equal(false);
+            expect(lines.join("\n")).to.contain(`already scheduled as change ${before}`);
+            expect(await stakingContract.scheduledChangeCount()).to.equal(before + 1n);
+            expect(await stakingContract.feeWallet()).to.equal(ethers.ZeroAddress);
+        });
+        it("should execute the pending change once it is ready", async function () {
+            const { stakingContract, other } = await loadFixture(DeployWithDelay);
+
+            await setFeeWallet(stakingContract, other.address);
+            await time.increase(DAY);
+            expect((await setFeeWallet(stakingContract, other.address)).result).to.equal(true);
+            expect(await stakingContract.feeWallet()).to.equal(other.address);
+        });
+        it("should not mistake a change with another value for the pending one", async function () {
+            const { stakingContract, admin, other } = await loadFixture(DeployWithDelay);
+
+            await setFeeWallet(stakingContract, admin.address);
+            expect(await changes.findPendingChange(stakingContract,
+                { changeType: changes.CHANGE_TYPES.FeeWallet, account: other.address })).to.equal(undefined);
+        });
+    });
+
+    describe("Pool tasks", function () {
+        async function DeployPool() {
+            const fixture = await DeployStakingContract();
+            const { stakingContract, stakingToken, rewardingToken } = fixture;
+            await addPool(stakingContract, { stakingToken, rewardToken: rewardingToken });
+            return fixture;
+        }
+
+        it("should report reverts with the decoded error", async function () {
+            const { stakingContract } = await loadFixture(DeployPool);
+
+            await expect(runTask("pool:start", { contract: stakingContract.target, pool: 0, dryRun: true }))
+                .to.be.rejectedWith("startStaking failed: StakingStarted");
+        });
+        it("should pause and resume an action", async function () {
+            const { stakingContract } = await loadFixture(DeployPool);
+
+            await runTask("pool:pause", { contract: stakingContract.target, pool: 0, action: "stake" });
+            expect(await stakingContract.pausedActions(0, STAKE)).to.equal(true);
+
+            await runTask("pool:resume", { contract: stakingContract.target, pool: 0, action: "stake" });
+            expect(await stakingContract.pausedActions(0, STAKE)).to.equal(false);
+        });
+        it("should refuse unknown actions", async function () {
+            const { stakingContract } = await loadFixture(DeployPool);
+
+            await expect(runTask("pool:pause", { contract: stakingContract.target, pool: 0, action: "compound" }))
+                .to.be.rejectedWith("Unknown action compound");
+        });
+    });
+});
@@ -0,0 +1,240 @@
+const {
+    time,
+    loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { DAY, deployStakingContract, addPool, applyChange } = require("./shared/fixtures");
+
+describe("StakingContract gasless staking", function () {
+    const poolId = 0;
+    const stakingAmount = ethers.parseEther("100");
+
+    async function DeployStakingContract() {
+        const [owner, user, relayer, other] = await ethers.getSigners();
+
+        const stakingContract = await deployStakingContract();
+        const permitToken = await ethers.deployContract("PermitToken");
+        const rewardingToken = await ethers.deployContract("RewardToken");
+        const forwarder = await ethers.deployContract("MockForwarder");
+
+        await applyChange(stakingContract, owner, "scheduleTrustedForwarderUpdate", [forwarder.target]);
+
+        await addPool(stakingContract, {
+            name: "PRMT",
+            stakingToken: permitToken,
+            rewardToken: rewardingToken,
+            validity: DAY * 30,
+        });
+
+        // the user never sends a transaction, not even an approve
+        await permitToken.transfer(user, ethers.parseEther("500"));
+
+        return { stakingContract, permitToken, rewardingToken, forwarder, owner, user, relayer, other };
+    }
+
+    async function signPermit(token, owner, spender, value, deadline) {
+        const { chainId } = await ethers.provider.getNetwork();
+        const domain = {
+            name: await token.name(),
+            version: "1",
+            chainId,
+            verifyingContract: token.target,
+        };
+        const types = {
+            Permit: [
+                { name: "owner", type: "address" },
+                { name: "spender", type: "address" },
+                { name: "value", type: "uint256" },
+                { name: "nonce", type: "uint256" },
+                { name: "deadline", type: "uint256" },
+            ],
+        };
+        const message = {
+            owner: owner.address,
+            spender: spender.target,
+            value,
+            nonce: await token.nonces(owner),
+            deadline,
+        };
+        return ethers.Signature.from(await owner.signTypedData(domain, types, message));
+    }
+
+    // Builds and signs an ERC-2771 request the forwarder relays to the staking contract
+    async function signRequest(forwarder, signer, stakingContract, method, args) {
+        const { chainId } = await ethers.provider.getNetwork();
+        const domain = {
+            name: "MinimalForwarder",
+            version: "0.0.1",
+            chainId,
+            verifyingContract: forwarder.target,
+        };
+        const types = {
+            ForwardRequest: [
+                { name: "from", type: "address" },
+                { name: "to", type: "address" },
+                { name: "value", type: "uint256" },
+                { name: "gas", type: "uint256" },
+                { name: "nonce", type: "uint256" },
+                { name: "data", type: "bytes" },
+            ],
+        };
+        const request = {
+            from: signer.address,
+            to: stakingContract.target,
+            value: 0,
+            gas: 1000000,
+            nonce: await forwarder.getNonce(signer),
+            data: stakingContract.interface.encodeFunctionData(method, args),
+        };
+        return { request, signature: await signer.signTypedData(domain, types, request) };
+    }
+
+    async function deadline() {
+        return BigInt(await time.latest()) + 3600n;
+    }
+
+    describe("stakeWithPermit", function () {
+        it("should stake with a permit signature instead of an approve", async function () {
+            const { stakingContract, permitToken, user } = await loadFixture(DeployStakingContract);
+
+            const validUntil = await deadline();
+            const { v, r, s } = await signPermit(permitToken, user, stakingContract, stakingAmount, validUntil);
+
+            await expect(stakingContract.connect(user).stakeWithPermit(poolId, stakingAmount, validUntil, v, r, s))
+                .to.emit(stakingContract, "Staked")
+                .withArgs(user.address, poolId, stakingAmount);
+
+            expect((await stakingContract.users(user.address, poolId)).stakedAmount).to.equal(stakingAmount);
+            expect(await permitToken.allowance(user, stakingContract)).to.equal(0);
+            expect(await permitToken.nonces(user)).to.equal(1);
+        });
+        it("should still stake when the permit was already submitted", async function () {
+            const { stakingContract, permitToken, user, other } = await loadFixture(DeployStakingContract);
+
+            const validUntil = await deadline();
+            const { v, r, s } = await signPermit(permitToken, user, stakingContract, stakingAmount, validUntil);
+
+            // someone front-runs the permit, the allowance is already in place
+            await permitToken.connect(other).permit(user, stakingContract, stakingAmount, validUntil, v, r, s);
+
+            await stakingContract.connect(user).stakeWithPermit(poolId, stakingAmount, validUntil, v, r, s);
+            expect((await stakingContract.users(user.address, poolId)).stakedAmount).to.equal(stakingAmount);
+        });
+        it("should revert when the permit is invalid and there is no allowance", async function () {
+            const { stakingContract, permitToken, user, other } = await loadFixture(DeployStakingContract);
+
+            const expired = BigInt(await time.latest()) - 1n;
+            const { v, r, s } = await signPermit(permitToken, user, stakingContract, stakingAmount, expired);
+            await expect(stakingContract.connect(user).stakeWithPermit(poolId, stakingAmount, expired, v, r, s))
+                .to.be.revertedWith("ERC20: insufficient allowance");
+
+            // a permit signed by someone else does not grant the user's allowance
+            const validUntil = await deadline();
+            const forged = await signPermit(permitToken, other, stakingContract, stakingAmount, validUntil);
+            await expect(stakingContract.connect(user)
+                .stakeWithPermit(poolId, stakingAmount, validUntil, forged.v, forged.r, forged.s))
+                .to.be.revertedWith("ERC20: insufficient allowance");
+        });
+    })
+
+    describe("Trusted forwarder", function () {
+        it("should allow only the admin to set the trusted forwarder", async function () {
+            const { stakingContract, forwarder, owner, user } = await loadFixture(DeployStakingContract);
+
+            expect(await stakingContract.isTrustedForwarder(forwarder)).to.equal(true);
+            expect(await stakingContract.isTrustedForwarder(user)).to.equal(false);
+
+            await expect(stakingContract.connect(user).scheduleTrustedForwarderUpdate(user))
+                .to.be.revertedWith(`AccessControl: account ${user.address.toLowerCase()} is missing role ${ethers.ZeroHash}`);
+            await expect(applyChange(stakingContract, owner, "scheduleTrustedForwarderUpdate", [ethers.ZeroAddress]))
+                .to.emit(stakingContract, "TrustedForwarderUpdated")
+                .withArgs(ethers.ZeroAddress);
+            expect(await stakingContract.isTrustedForwarder(forwarder)).to.equal(false);
+            expect(await stakingContract.isTrustedForwarder(ethers.ZeroAddress)).to.equal(false);
+        });
+        it("should make a new forwarder wait out the timelock delay", async function () {
+            const { stakingContract, forwarder, owner, other } = await loadFixture(DeployStakingContract);
+            await applyChange(stakingContract, owner, "scheduleTimelockDelayUpdate", [DAY]);
+
+            await expect(stakingContract.scheduleTrustedForwarderUpdate(other))
+                .to.emit(stakingContract, "ChangeScheduled");
+            const changeId = (await stakingContract.scheduledChangeCount()) - 1n;
+            await expect(stakingContract.executeChange(changeId))
+                .to.be.revertedWithCustomError(stakingContract, "ChangeNotReady");
+            expect(await stakingContract.isTrustedForwarder(forwarder)).to.equal(true);
+
+            await time.increase(DAY);
+            await expect(stakingContract.executeChange(changeId))
+                .to.emit(stakingContract, "TrustedForwarderUpdated")
+                .withArgs(other.address);
+            expect(await stakingContract.isTrustedForwarder(other)).to.equal(true);
+            expect(await stakingContract.isTrustedForwarder(forwarder)).to.equal(false);
+        });
+        it("should stake for the signer of a relayed permit stake", async function () {
+            const { stakingContract, permitToken, forwarder, user, relayer } = await loadFixture(DeployStakingContract);
+
+            const validUntil = await deadline();
+            const { v, r, s } = await signPermit(permitToken, user, stakingContract, stakingAmount, validUntil);
+            const { request, signature } = await signRequest(
+                forwarder, user, stakingContract, "stakeWithPermit", [poolId, stakingAmount, validUntil, v, r, s]
+            );
+
+            await expect(forwarder.connect(relayer).execute(request, signature))
+                .to.emit(stakingContract, "Staked")
+                .withArgs(user.address, poolId, stakingAmount);
+
+            expect((await stakingContract.users(user.address, poolId)).stakedAmount).to.equal(stakingAmount);
+            expect((await stakingContract.users(relayer.address, poolId)).stakedAmount).to.equal(0);
+            expect(await permitToken.balanceOf(user)).to.equal(ethers.parseEther("400"));
+        });
+        it("should relay claims and unstakes for the signer", async function () {
+            const { stakingContract, permitToken, rewardingToken, forwarder, user, relayer } =
+                await loadFixture(DeployStakingContract);
+
+            const validUntil = await deadline();
+            const { v, r, s } = await signPermit(permitToken, user, stakingContract, stakingAmount, validUntil);
+            await stakingContract.connect(user).stakeWithPermit(poolId, stakingAmount, validUntil, v, r, s);
+            await time.increase(DAY);
+
+            const claim = await signRequest(forwarder, user, stakingContract, "claimRewards", [poolId]);
+            await expect(forwarder.connect(relayer).execute(claim.request, claim.signature))
+                .to.emit(stakingContract, "RewardPaid");
+            expect(await rewardingToken.balanceOf(user)).to.be.gt(0);
+            expect(await rewardingToken.balanceOf(relayer)).to.equal(0);
+
+            const unstake = await signRequest(forwarder, user, stakingContract, "unStake", [poolId]);
+            await expect(forwarder.connect(relayer).execute(unstake.request, unstake.signature))
+                .to.emit(stakingContract, "UnStaked")
+                .withArgs(user.address, poolId, stakingAmount, ethers.parseEther("99.5"));
+            // less the 0.5% unstake fee
+            expect(await permitToken.balanceOf(user)).to.equal(ethers.parseEther("499.5"));
+        });
+        it("should reject requests not signed by their sender", async function () {
+            const { stakingContract, forwarder, user, other, relayer } = await loadFixture(DeployStakingContract);
+
+            const { request, signature } = await signRequest(forwarder, other, stakingContract, "unStake", [poolId]);
+            const forged = { ...request, from: user.address };
+
+            expect(await forwarder.verify(forged, signature)).to.equal(false);
+            await expect(forwarder.connect(relayer).execute(forged, signature))
+                .to.be.revertedWith("MinimalForwarder: signature does not match request");
+        });
+        it("should not trust a forwarder once it is unset", async function () {
+            const { stakingContract, permitToken, forwarder, owner, user, relayer } = await loadFixture(DeployStakingContract);
+            await applyChange(stakingContract, owner, "scheduleTrustedForwarderUpdate", [ethers.ZeroAddress]);
+
+            const validUntil = await deadline();
+            const { v, r, s } = await signPermit(permitToken, user, stakingContract, stakingAmount, validUntil);
+            const { request, signature } = await signRequest(
+                forwarder, user, stakingContract, "stakeWithPermit", [poolId, stakingAmount, validUntil, v, r, s]
+            );
+
+            // the call is attributed to the forwarder, which has nothing to stake
+            await expect(forwarder.connect(relayer).execute(request, signature))
+                .to.not.emit(stakingContract, "Staked");
+            expect((await stakingContract.users(user.address, poolId)).stakedAmount).to.equal(0);
+            expect(await permitToken.balanceOf(user)).to.equal(ethers.parseEther("500"));
+        });
+    })
+});
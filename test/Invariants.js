@@ -0,0 +1,556 @@
+const {
+    time,
+    loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { NATIVE_TOKEN } = require("../scripts/lib/tokens");
+const { toStakingError } = require("../sdk/errors");
+const {
+    DAY,
+    STAKE,
+    CLAIM,
+    UNSTAKE,
+    deployStakingContract,
+    fundAccounts,
+    applyChange,
+} = require("./shared/fixtures");
+const { createRandom, randomSeed } = require("./shared/random");
+
+// Property tests: every run drives a random sequence of pool, staking, pause
+// and treasury calls with time jumps across several users and checks the
+// invariants after every step. The test suite runs the fixed DEFAULT_SEEDS,
+// so CI runs are repeatable, random seeds only run when asked for with
+//
+//   npx hardhat test:invariants --runs <count>
+//
+// or INVARIANT_RUNS=<count>. Runs are named after their seed, a failing run
+// is replayed with npx hardhat test:invariants --seed <seed> (INVARIANT_SEED)
+// and --steps (INVARIANT_STEPS) makes runs longer.
+const DEFAULT_SEEDS = [655208885, 1724955433, 1132506393];
+const STEPS = Number(process.env.INVARIANT_STEPS || 50);
+const SEEDS = process.env.INVARIANT_SEED
+    ? [Number(process.env.INVARIANT_SEED)]
+    : process.env.INVARIANT_RUNS
+        ? Array.from({ length: Number(process.env.INVARIANT_RUNS) }, randomSeed)
+        : DEFAULT_SEEDS;
+
+const BASIS_POINTS = 10000n;
+const MAX_POOLS = 4;
+const ACTION_NAMES = ["Stake", "Claim", "Unstake"];
+
+// Reverts a random call may legitimately run into, any other revert fails the run
+const EXPECTED_REVERTS = new Set([
+    "InvalidStakeAmount",
+    "NoAmountStaked",
+    "StakingStarted",
+    "StakingNotStarted",
+    "PoolEnded",
+    "InsufficientStake",
+    "RewardBudgetExhausted",
+    "NoSurplus",
+    "TierMismatch",
+    "NoFeesAccrued",
+    "NotCompoundable",
+    "ActionPaused",
+    "EmergencyPaused",
+]);
+
+describe("StakingContract invariants", function () {
+    async function DeployHarness() {
+        const [admin, feeWallet, ...signers] = await ethers.getSigners();
+        const users = signers.slice(0, 3);
+
+        const stakingContract = await deployStakingContract();
+        const tokens = [];
+        for (const [name, args] of [
+            ["StakingToken", []],
+            ["RewardToken", []],
+            ["DecimalsToken", ["USD Coin", "USDC", 6]],
+        ]) {
+            const token = await ethers.deployContract(name, args);
+            // a tenth of the supply for each user, the admin funds rewards
+            await fundAccounts(stakingContract, token, users, (await token.totalSupply()) / 10n);
+            await token.approve(stakingContract.target, ethers.MaxUint256);
+            tokens.push({ address: token.target, decimals: Number(await token.decimals()), contract: token });
+        }
+        tokens.push({ address: NATIVE_TOKEN, decimals: 18 });
+
+        return { stakingContract, tokens, admin, feeWallet, users };
+    }
+
+    function createModel(tokens) {
+        const zero = () => Object.fromEntries(tokens.map((token) => [token.address, 0n]));
+        return {
+            pools: [],
+            balances: zero(), //what the contract should hold of each token
+            heldFees: zero(),
+            paused: new Set(),
+            emergencyPaused: false,
+            feeWallet: ethers.ZeroAddress,
+        };
+    }
+
+    function amountOf(random, token) {
+        // mostly whole token amounts, sometimes a few base units to stress rounding
+        if (random.chance(0.2)) {
+            return BigInt(random.int(1, 1000));
+        }
+        return random.bigint(500n * 10n ** BigInt(token.decimals)) + 1n;
+    }
+
+    async function balanceOf(run, token) {
+        if (token.address === NATIVE_TOKEN) {
+            return ethers.provider.getBalance(run.stakingContract.target);
+        }
+        return token.contract.balanceOf(run.stakingContract.target);
+    }
+
+    // Sends a call, returning the receipt or the name of an expected revert
+    async function send(run, signer, method, args, value = 0n) {
+        try {
+            const tx = await run.stakingContract.connect(signer).getFunction(method)(...args, { value });
+            return { receipt: await tx.wait() };
+        } catch (error) {
+            const { code } = toStakingError(run.stakingContract.interface, error);
+            if (!EXPECTED_REVERTS.has(code)) {
+                throw error;
+            }
+            run.reverts.push(code);
+            return { reverted: code };
+        }
+    }
+
+    // Stake checks that run ahead of the pause controls
+    const CHECKED_BEFORE_PAUSE = ["StakingNotStarted", "TierMismatch"];
+
+    // Sends a user call and checks it went through the pause controls: paused
+    // actions revert with the pause error, unless an earlier check failed
+    async function sendUserCall(run, signer, poolId, actions, method, args, value) {
+        const result = await send(run, signer, method, args, value);
+        const paused = actions.some((action) => run.model.paused.has(`${poolId}:${action}`));
+        if (run.model.emergencyPaused) {
+            expect(result.reverted).to.be.oneOf(["EmergencyPaused", ...CHECKED_BEFORE_PAUSE]);
+        } else if (paused) {
+            expect(result.reverted).to.be.oneOf(["ActionPaused", ...CHECKED_BEFORE_PAUSE]);
+        } else {
+            expect(result.reverted).to.not.be.oneOf(["ActionPaused", "EmergencyPaused"]);
+        }
+        return result;
+    }
+
+    // JS twin of unstakeFee
+    function feeBpsAt(pool, timestamp) {
+        if (pool.start === undefined) {
+            return pool.fee.bps;
+        }
+        if (timestamp >= pool.end) {
+            return 0n;
+        }
+        if (!pool.fee.decay) {
+            return pool.fee.bps;
+        }
+        return (pool.fee.bps * (pool.end - timestamp)) / (pool.end - pool.start);
+    }
+
+    // Checks the FeeCharged event of an exit carries the fee and penalty in
+    // basis points of amount and returns what was charged
+    function checkExitCharges(events, fee, penalty) {
+        const charged = events.find((entry) => entry.name === "FeeCharged");
+        if (fee + penalty > 0n) {
+            expect(charged.args.fee, "unstake fee").to.equal(fee);
+            expect(charged.args.penalty, "tier penalty").to.equal(penalty);
+        } else {
+            expect(charged, "fee charged without a fee").to.equal(undefined);
+        }
+        return fee + penalty;
+    }
+
+    // Applies the events of a receipt to the model and checks every unstake
+    // paid the unstake fee and tier penalty in basis points of its amount,
+    // position is the user's position before the call
+    async function applyEvents(run, receipt, position) {
+        const { stakingContract, model } = run;
+        const events = receipt.logs
+            .filter((log) => log.address === stakingContract.target)
+            .map((log) => stakingContract.interface.parseLog(log));
+        const { timestamp } = await ethers.provider.getBlock(receipt.blockNumber);
+
+        for (const event of events) {
+            const { args } = event;
+            const pool = model.pools[Number(args.poolId)];
+            switch (event.name) {
+                case "Staked":
+                    pool.stakes[args.user] = (pool.stakes[args.user] || 0n) + args.amount;
+                    model.balances[pool.stakingToken] += args.amount;
+                    break;
+                case "UnStaked": {
+                    pool.stakes[args.user] -= args.amount;
+                    model.balances[pool.stakingToken] -= args.netAmount;
+
+                    const fee = (args.amount * feeBpsAt(pool, BigInt(timestamp))) / BASIS_POINTS;
+                    const penalty = BigInt(timestamp) < position.unlockTime
+                        ? (args.amount * pool.tiers[Number(position.tierId)]) / BASIS_POINTS
+                        : 0n;
+                    expect(args.netAmount, "net amount").to.equal(args.amount - fee - penalty);
+                    checkExitCharges(events, fee, penalty);
+                    break;
+                }
+                case "FeeCharged": {
+                    const amount = args.fee + args.penalty;
+                    if (model.feeWallet === ethers.ZeroAddress) {
+                        model.heldFees[args.token] += amount;
+                    } else {
+                        model.balances[args.token] -= amount;
+                    }
+                    break;
+                }
+                case "RewardPaid":
+                    pool.paid += args.amount;
+                    model.balances[pool.rewardToken] -= args.amount;
+                    break;
+                case "Compounded":
+                    pool.paid += args.amount;
+                    pool.stakes[args.user] += args.amount;
+                    break;
+                case "EmergencyWithdraw": {
+                    pool.stakes[args.user] -= args.amount;
+
+                    // charged like unStake, the penalty only before unlock
+                    const fee = (args.amount * feeBpsAt(pool, BigInt(timestamp))) / BASIS_POINTS;
+                    const penalty = BigInt(timestamp) < position.unlockTime
+                        ? (args.amount * pool.tiers[Number(position.tierId)]) / BASIS_POINTS
+                        : 0n;
+                    model.balances[pool.stakingToken] -= args.amount - checkExitCharges(events, fee, penalty);
+                    break;
+                }
+                case "RewardAdded":
+                    pool.budget += args.amount;
+                    model.balances[pool.rewardToken] += args.amount;
+                    break;
+                case "FeesSwept":
+                    model.heldFees[args.token] -= args.amount;
+                    model.balances[args.token] -= args.amount;
+                    break;
+                case "SurplusRecovered":
+                    model.balances[args.asset] -= args.amount;
+                    break;
+            }
+        }
+    }
+
+    async function checkInvariants(run) {
+        const { stakingContract, model, tokens, users } = run;
+        const covered = Object.fromEntries(tokens.map((token) => [token.address, 0n]));
+
+        for (const pool of model.pools) {
+            const onChain = await stakingContract.pools(pool.poolId);
+            const funding = await stakingContract.poolFunding(pool.poolId);
+
+            let staked = 0n;
+            for (const user of users) {
+                const { stakedAmount } = await stakingContract.users(user.address, pool.poolId);
+                expect(stakedAmount, `stake of ${user.address} in pool ${pool.poolId}`)
+                    .to.equal(pool.stakes[user.address] || 0n);
+                staked += stakedAmount;
+            }
+            expect(onChain.totalStaked, `totalStaked of pool ${pool.poolId}`).to.equal(staked);
+
+            // rewards never exceed the funded budget
+            expect(funding.rewardBudget, `budget of pool ${pool.poolId}`).to.equal(pool.budget);
+            expect(funding.rewardsPaid, `rewards paid by pool ${pool.poolId}`).to.equal(pool.paid);
+            expect(funding.rewardsPaid).to.be.lte(funding.rewardBudget);
+
+            const remaining = funding.rewardBudget - funding.rewardsPaid;
+            const owed = await stakingContract.owedRewards(pool.poolId);
+            covered[pool.stakingToken] += onChain.totalStaked;
+            covered[pool.rewardToken] += owed < remaining ? owed : remaining;
+        }
+
+        // balances cover staked principal, held fees and rewards owed
+        for (const token of tokens) {
+            const balance = await balanceOf(run, token);
+            const heldFees = await stakingContract.accruedFees(token.address);
+            expect(heldFees, `fees held in ${token.address}`).to.equal(model.heldFees[token.address]);
+            expect(balance, `balance of ${token.address}`).to.equal(model.balances[token.address]);
+            expect(balance, `${token.address} backing`).to.be.gte(covered[token.address] + heldFees);
+        }
+    }
+
+    /* ========== ACTIONS ========== */
+
+    // Mostly a user with a stake in the pool, sometimes anyone
+    function pickStaker(run, random, pool) {
+        const stakers = run.users.filter((user) => pool.stakes[user.address] > 0n);
+        return stakers.length > 0 && random.chance(0.8) ? random.pick(stakers) : random.pick(run.users);
+    }
+
+    // Every action sends its calls and returns a line for the step log
+
+    async function addPool(run, random) {
+        const { tokens, model, admin } = run;
+        const stakingToken = random.pick(tokens);
+        // the APY applies to raw amounts, so mostly pay rewards in a token
+        // with the same decimals or the budget is gone in a block
+        const rewardToken = random.chance(0.8)
+            ? random.pick(tokens.filter((token) => token.decimals === stakingToken.decimals))
+            : random.pick(tokens);
+        const budget = BigInt(random.int(100, 2000)) * 10n ** BigInt(rewardToken.decimals);
+        const apy = random.int(1, 200);
+        const validity = DAY * random.int(5, 60);
+
+        const { receipt } = await send(run, admin, "addPool",
+            [`Pool ${model.pools.length}`, apy, stakingToken.address, rewardToken.address, validity, budget],
+            rewardToken.address === NATIVE_TOKEN ? budget : 0n
+        );
+        const pool = {
+            poolId: model.pools.length,
+            stakingToken: stakingToken.address,
+            rewardToken: rewardToken.address,
+            budget,
+            paid: 0n,
+            stakes: {},
+            tiers: [0n], //penalty of every tier
+            fee: { bps: 50n, decay: false },
+        };
+        model.pools.push(pool);
+        model.balances[rewardToken.address] += budget;
+        await applyEvents(run, receipt);
+
+        // most pools open right away, the others wait for startStaking
+        const start = random.chance(0.8);
+        if (start) {
+            await startPool(run, pool);
+        }
+        return `addPool(${pool.poolId}${start ? ", started" : ""}: ${stakingToken.address} for ` +
+            `${rewardToken.address}, apy ${apy}, ${validity}s, budget ${budget})`;
+    }
+
+    async function startPool(run, pool) {
+        const { receipt } = await send(run, run.admin, "startStaking", [pool.poolId]);
+        if (receipt) {
+            const onChain = await run.stakingContract.pools(pool.poolId);
+            pool.start = onChain.stakingStartTime;
+            pool.end = onChain.poolValidityPeriod;
+        }
+    }
+
+    async function startStaking(run, random) {
+        const pool = random.pick(run.model.pools);
+        await startPool(run, pool);
+        return `startStaking(${pool.poolId})`;
+    }
+
+    async function addLockTier(run, random) {
+        const pool = random.pick(run.model.pools);
+        const lockDuration = DAY * random.int(1, 30);
+        const multiplier = random.int(10000, 30000);
+        const penalty = random.int(0, 2500);
+        await send(run, run.admin, "addLockTier", [pool.poolId, lockDuration, multiplier, penalty]);
+        pool.tiers.push(BigInt(penalty)); //tier IDs follow the order they are added in
+        return `addLockTier(${pool.poolId}, ${lockDuration}s, ${multiplier}, ${penalty})`;
+    }
+
+    async function setFee(run, random) {
+        const pool = random.pick(run.model.pools);
+        const bps = random.int(0, 1000);
+        const decay = random.chance(0.5);
+        await applyChange(run.stakingContract, run.admin, "scheduleFeeUpdate", [pool.poolId, bps, decay]);
+        pool.fee = { bps: BigInt(bps), decay };
+        return `scheduleFeeUpdate(${pool.poolId}, ${bps}, ${decay})`;
+    }
+
+    async function stake(run, random) {
+        const started = run.model.pools.filter((entry) => entry.start !== undefined);
+        const pool = started.length > 0 && random.chance(0.9) ? random.pick(started) : random.pick(run.model.pools);
+        const user = random.pick(run.users);
+        const token = run.tokens.find((entry) => entry.address === pool.stakingToken);
+        const amount = amountOf(random, token);
+        const value = pool.stakingToken === NATIVE_TOKEN ? amount : 0n;
+
+        if (pool.tiers.length > 1 && random.chance(0.5)) {
+            const tierId = random.int(0, pool.tiers.length - 1);
+            const { receipt } = await sendUserCall(run, user, pool.poolId, [STAKE], "stakeLocked",
+                [pool.poolId, amount, tierId], value);
+            if (receipt) {
+                await applyEvents(run, receipt);
+            }
+            return `stakeLocked(user ${user.address}, ${pool.poolId}, ${amount}, tier ${tierId})`;
+        }
+        const { receipt } = await sendUserCall(run, user, pool.poolId, [STAKE], "stake", [pool.poolId, amount], value);
+        if (receipt) {
+            await applyEvents(run, receipt);
+        }
+        return `stake(user ${user.address}, ${pool.poolId}, ${amount})`;
+    }
+
+    async function claim(run, random) {
+        const pool = random.pick(run.model.pools);
+        const user = pickStaker(run, random, pool);
+        const { receipt } = await sendUserCall(run, user, pool.poolId, [CLAIM], "claimRewards", [pool.poolId]);
+        if (receipt) {
+            await applyEvents(run, receipt);
+        }
+        return `claimRewards(user ${user.address}, ${pool.poolId})`;
+    }
+
+    async function withdraw(run, random) {
+        const pool = random.pick(run.model.pools);
+        const user = pickStaker(run, random, pool);
+        const position = await run.stakingContract.users(user.address, pool.poolId);
+        const full = random.chance(0.4);
+        // sometimes more than the stake, to hit InsufficientStake
+        const amount = random.bigint((position.stakedAmount * 11n) / 10n) + 1n;
+
+        const { receipt } = full
+            ? await sendUserCall(run, user, pool.poolId, [UNSTAKE], "unStake", [pool.poolId])
+            : await sendUserCall(run, user, pool.poolId, [UNSTAKE], "withdraw", [pool.poolId, amount]);
+        if (receipt) {
+            await applyEvents(run, receipt, position);
+        }
+        return full
+            ? `unStake(user ${user.address}, ${pool.poolId})`
+            : `withdraw(user ${user.address}, ${pool.poolId}, ${amount})`;
+    }
+
+    async function compound(run, random) {
+        const pool = random.pick(run.model.pools);
+        const user = pickStaker(run, random, pool);
+        const { receipt } = await sendUserCall(run, user, pool.poolId, [CLAIM, STAKE], "compound", [pool.poolId]);
+        if (receipt) {
+            await applyEvents(run, receipt);
+        }
+        return `compound(user ${user.address}, ${pool.poolId})`;
+    }
+
+    async function emergencyWithdraw(run, random) {
+        const pool = random.pick(run.model.pools);
+        const user = pickStaker(run, random, pool);
+        const position = await run.stakingContract.users(user.address, pool.poolId);
+        const { receipt } = await sendUserCall(run, user, pool.poolId, [UNSTAKE], "emergencyWithdraw", [pool.poolId]);
+        if (receipt) {
+            await applyEvents(run, receipt, position);
+        }
+        return `emergencyWithdraw(user ${user.address}, ${pool.poolId})`;
+    }
+
+    async function fund(run, random) {
+        const pool = random.pick(run.model.pools);
+        const token = run.tokens.find((entry) => entry.address === pool.rewardToken);
+        const amount = amountOf(random, token);
+        const { receipt } = await send(run, run.admin, "notifyRewardAmount", [pool.poolId, amount],
+            pool.rewardToken === NATIVE_TOKEN ? amount : 0n);
+        await applyEvents(run, receipt);
+        return `notifyRewardAmount(${pool.poolId}, ${amount})`;
+    }
+
+    async function togglePause(run, random) {
+        // lift an existing pause more often than not, so most steps run unpaused
+        let poolId = random.pick(run.model.pools).poolId;
+        let action = random.int(STAKE, UNSTAKE);
+        if (run.model.paused.size > 0 && random.chance(0.6)) {
+            [poolId, action] = random.pick([...run.model.paused]).split(":").map(Number);
+        }
+        const key = `${poolId}:${action}`;
+        const paused = !run.model.paused.has(key);
+        await send(run, run.admin, "setPaused", [poolId, action, paused]);
+        if (paused) {
+            run.model.paused.add(key);
+        } else {
+            run.model.paused.delete(key);
+        }
+        return `setPaused(${poolId}, ${ACTION_NAMES[action]}, ${paused})`;
+    }
+
+    async function toggleEmergencyPause(run) {
+        const paused = !run.model.emergencyPaused;
+        await send(run, run.admin, "setEmergencyPause", [paused]);
+        run.model.emergencyPaused = paused;
+        return `setEmergencyPause(${paused})`;
+    }
+
+    async function setFeeWallet(run, random) {
+        const wallet = random.chance(0.7) ? run.feeWallet.address : ethers.ZeroAddress;
+        await applyChange(run.stakingContract, run.admin, "scheduleFeeWalletUpdate", [wallet]);
+        run.model.feeWallet = wallet;
+        return `scheduleFeeWalletUpdate(${wallet})`;
+    }
+
+    async function sweepFees(run, random) {
+        const token = random.pick(run.tokens);
+        const { receipt } = await send(run, run.admin, "sweepFees", [token.address, run.feeWallet.address]);
+        if (receipt) {
+            await applyEvents(run, receipt);
+        }
+        return `sweepFees(${token.address})`;
+    }
+
+    async function recoverSurplus(run, random) {
+        const token = random.pick(run.tokens);
+        const { receipt } = await send(run, run.admin, "recoverSurplus", [token.address, run.feeWallet.address]);
+        if (receipt) {
+            await applyEvents(run, receipt);
+        }
+        return `recoverSurplus(${token.address})`;
+    }
+
+    async function timeJump(run, random) {
+        const seconds = random.pick([60 * random.int(1, 60), 3600 * random.int(1, 24), DAY * random.int(1, 5)]);
+        await time.increase(seconds);
+        return `time.increase(${seconds})`;
+    }
+
+    const ACTIONS = [
+        [1, addPool],
+        [1, startStaking],
+        [1, addLockTier],
+        [0.5, setFee],
+        [6, stake],
+        [3, claim],
+        [4, withdraw],
+        [1, compound],
+        [0.5, emergencyWithdraw],
+        [1, fund],
+        [1, togglePause],
+        [0.2, toggleEmergencyPause],
+        [0.3, setFeeWallet],
+        [0.5, sweepFees],
+        [0.5, recoverSurplus],
+        [4, timeJump],
+    ];
+
+    for (const seed of SEEDS) {
+        it(`should hold the invariants for seed ${seed}`, async function () {
+            const fixture = await loadFixture(DeployHarness);
+            const random = createRandom(seed);
+            const run = { ...fixture, model: createModel(fixture.tokens), reverts: [] };
+            const log = [];
+
+            for (let step = 0; step < STEPS; step++) {
+                let action = run.model.pools.length === 0 ? addPool : random.weighted(ACTIONS);
+                if (action === addPool && run.model.pools.length >= MAX_POOLS) {
+                    action = timeJump;
+                }
+                // an emergency pause only lasts a few steps
+                if (run.model.emergencyPaused && random.chance(0.3)) {
+                    action = toggleEmergencyPause;
+                }
+                run.reverts = [];
+                // the action name stands in until the action describes its call
+                let call = action.name;
+                try {
+                    call = await action(run, random);
+                    call += run.reverts.length ? ` reverted ${run.reverts.join(", ")}` : "";
+                    await checkInvariants(run);
+                } catch (error) {
+                    error.message =
+                        `${error.message}\n\nSeed ${seed} failed at step ${step} on ${call}\n` +
+                        `Steps before:\n  ${log.join("\n  ") || "none"}\n` +
+                        `Replay with: npx hardhat test:invariants --seed ${seed} --steps ${STEPS}`;
+                    throw error;
+                }
+                log.push(`${step}: ${call}`);
+            }
+        });
+    }
+});
@@ -0,0 +1,208 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { seed } = require("../scripts/seed");
+const { fetchEvents, buildLedger, reconcile, toCsv } = require("../scripts/lib/ledger");
+const { NATIVE_TOKEN } = require("../scripts/lib/tokens");
+
+describe("Ledger report", function () {
+    const { parseEther, parseUnits } = ethers;
+
+    async function SeededChain() {
+        return seed();
+    }
+
+    async function indexAll(stakingContract, options) {
+        const ledger = buildLedger(await fetchEvents(stakingContract, options));
+        const checks = await reconcile(stakingContract, ledger);
+        return { ledger, checks };
+    }
+
+    function readCsv(file) {
+        const [header, ...lines] = fs.readFileSync(file, "utf8").trim().split("\n");
+        const columns = header.split(",");
+        return lines.map((line) => Object.fromEntries(line.split(",").map((value, i) => [columns[i], value])));
+    }
+
+    describe("Ledger", function () {
+        it("should rebuild the pool and user totals of the seeded activity", async function () {
+            const { stakingContract, accounts } = await loadFixture(SeededChain);
+            const { alice, bob, carol } = accounts;
+
+            const { ledger } = await indexAll(stakingContract);
+
+            const flexible = ledger.pools[0];
+            expect(flexible.poolName).to.equal("STK 90 days");
+            expect(flexible.staked).to.equal(parseEther("1750"));
+            expect(flexible.unstaked).to.equal(parseEther("900"));
+            expect(flexible.netStaked).to.equal(parseEther("850"));
+            // bob left the lock tier early: 0.5% fee and 5% penalty on 500
+            expect(ledger.users[bob.address][0].fees).to.equal(parseEther("2.5"));
+            expect(ledger.users[bob.address][0].penalties).to.equal(parseEther("25"));
+            expect(ledger.users[bob.address][0].received).to.equal(parseEther("472.5"));
+            expect(ledger.users[alice.address][0].rewardsPaid).to.be.gt(0);
+
+            expect(ledger.pools[1].compounded).to.be.gt(0);
+            expect(ledger.users[carol.address][1].netStaked)
+                .to.equal(parseEther("2000") + ledger.users[carol.address][1].compounded);
+
+            const usdcPool = ledger.pools[2];
+            expect(usdcPool.emergencyWithdrawn).to.equal(parseUnits("1500", 6));
+            expect(usdcPool.netStaked).to.equal(0);
+            expect(ledger.users[alice.address][2].netStaked).to.equal(0);
+
+            const ethPool = ledger.pools[3];
+            expect(ethPool.stakingToken).to.equal(NATIVE_TOKEN);
+            expect(ethPool.netStaked).to.equal(parseEther("1"));
+            expect(ledger.users[carol.address][3].received).to.equal(parseEther("0.995"));
+        });
+        it("should attribute fees to the contract or the fee wallet in charge", async function () {
+            const { stakingContract, tokens, accounts } = await loadFixture(SeededChain);
+            const { stakingToken, usdc } = tokens;
+            const { feeWallet } = accounts;
+
+            const { ledger } = await indexAll(stakingContract);
+
+            // bob's fees were held until the sweep, alice's went to the wallet
+            const stkFees = ledger.fees[stakingToken.target];
+            expect(stkFees.charged).to.equal(parseEther("29.5"));
+            expect(stkFees.swept).to.equal(parseEther("27.5"));
+            expect(stkFees.held).to.equal(0);
+            expect(stkFees.sentToFeeWallet).to.deep.equal({ [feeWallet.address]: parseEther("2") });
+
+            // bob's unstake and alice's emergency withdraw both pay the 0.5% fee
+            const usdcFees = ledger.fees[usdc.target];
+            expect(usdcFees.charged).to.equal(parseUnits("9", 6));
+            expect(usdcFees.sentToFeeWallet).to.deep.equal({ [feeWallet.address]: parseUnits("9", 6) });
+            expect(ledger.feeWallets).to.deep.equal([feeWallet.address]);
+
+            // everything charged either sits in the wallet or was swept there
+            expect(await stakingToken.balanceOf(feeWallet)).to.equal(stkFees.charged);
+            expect(await usdc.balanceOf(feeWallet)).to.equal(usdcFees.charged);
+
+            expect(ledger.fees[NATIVE_TOKEN].sentToFeeWallet)
+                .to.deep.equal({ [feeWallet.address]: parseEther("0.005") });
+        });
+        it("should reconcile every total with the chain", async function () {
+            const { stakingContract } = await loadFixture(SeededChain);
+
+            const { checks } = await indexAll(stakingContract);
+
+            expect(checks.filter((entry) => !entry.ok)).to.deep.equal([]);
+            const kinds = new Set(checks.map((entry) => entry.check));
+            expect([...kinds]).to.have.members([
+                "pool totalStaked",
+                "pool rewardsPaid",
+                "user stakedAmount",
+                "held fees",
+                "contract balance covers liabilities",
+            ]);
+        });
+        it("should give the same ledger when scanning in small batches", async function () {
+            const { stakingContract } = await loadFixture(SeededChain);
+
+            const whole = await fetchEvents(stakingContract);
+            const batched = await fetchEvents(stakingContract, { batchSize: 3 });
+            expect(batched.events).to.deep.equal(whole.events);
+        });
+        it("should flag totals that miss activity before the scanned range", async function () {
+            const { stakingContract } = await loadFixture(SeededChain);
+
+            const { events } = await fetchEvents(stakingContract);
+            const firstUnstake = events.find((event) => event.event === "UnStaked");
+            const { checks } = await indexAll(stakingContract, { fromBlock: firstUnstake.blockNumber });
+
+            const mismatches = checks.filter((entry) => !entry.ok).map((entry) => `${entry.check} ${entry.subject}`);
+            expect(mismatches).to.include("pool totalStaked pool 0");
+        });
+        it("should report the state at the last scanned block", async function () {
+            const { stakingContract, accounts } = await loadFixture(SeededChain);
+
+            const toBlock = await ethers.provider.getBlockNumber();
+            await stakingContract.connect(accounts.alice).stake(0, parseEther("1"));
+
+            const { ledger, checks } = await indexAll(stakingContract, { toBlock });
+            expect(ledger.pools[0].netStaked).to.equal(parseEther("850"));
+            expect(checks.filter((entry) => !entry.ok)).to.deep.equal([]);
+        });
+    });
+
+    describe("report:ledger task", function () {
+        let outDir;
+
+        beforeEach(function () {
+            outDir = fs.mkdtempSync(path.join(os.tmpdir(), "ledger-"));
+        });
+        afterEach(function () {
+            fs.rmSync(outDir, { recursive: true, force: true });
+        });
+
+        it("should export CSV and JSON reports in whole tokens and base units", async function () {
+            const { stakingContract, tokens, accounts } = await loadFixture(SeededChain);
+
+            const { files } = await hre.run("report:ledger", { contract: stakingContract.target, out: outDir });
+            expect(files.map((file) => path.basename(file))).to.have.members([
+                "pools.csv",
+                "users.csv",
+                "fees.csv",
+                "events.csv",
+                "reconciliation.csv",
+                "ledger.json",
+            ]);
+
+            const pools = readCsv(path.join(outDir, "pools.csv"));
+            const compounding = (await stakingContract.pools(1)).totalStaked;
+            expect(pools.map((pool) => pool.netStaked))
+                .to.deep.equal(["850.0", ethers.formatEther(compounding), "0.0", "1.0"]);
+
+            const fees = readCsv(path.join(outDir, "fees.csv"));
+            const usdcFees = fees.find((row) => row.token === tokens.usdc.target);
+            expect(usdcFees).to.include({ symbol: "USDC", charged: "9.0", feeWallet: accounts.feeWallet.address });
+
+            const users = readCsv(path.join(outDir, "users.csv"));
+            const bob = users.find((row) => row.user === accounts.bob.address && row.poolId === "0");
+            expect(bob).to.include({ unstaked: "500.0", fees: "2.5", penalties: "25.0" });
+
+            const events = readCsv(path.join(outDir, "events.csv"));
+            expect(events.filter((row) => row.event === "Staked")).to.have.length(7);
+            expect(events.find((row) => row.event === "EmergencyWithdraw").amount).to.equal("1500.0");
+
+            expect(readCsv(path.join(outDir, "reconciliation.csv")).every((row) => row.ok === "true")).to.equal(true);
+
+            const json = JSON.parse(fs.readFileSync(path.join(outDir, "ledger.json"), "utf8"));
+            expect(json.pools["0"].netStaked).to.equal(parseEther("850").toString());
+            expect(json.tokens[tokens.usdc.target]).to.deep.equal({ symbol: "USDC", decimals: 6 });
+            expect(json.tokens[NATIVE_TOKEN]).to.deep.equal({ symbol: "ETH", decimals: 18 });
+            expect(json.events).to.have.length(events.length);
+        });
+        it("should write only the requested format", async function () {
+            const { stakingContract } = await loadFixture(SeededChain);
+
+            await hre.run("report:ledger", { contract: stakingContract.target, out: outDir, format: "json" });
+            expect(fs.readdirSync(outDir)).to.deep.equal(["ledger.json"]);
+
+            await expect(hre.run("report:ledger", { contract: stakingContract.target, out: outDir, format: "xml" }))
+                .to.be.rejectedWith("Unknown format xml");
+        });
+        it("should fail after writing the report when the ledger does not reconcile", async function () {
+            const { stakingContract } = await loadFixture(SeededChain);
+
+            const { events } = await fetchEvents(stakingContract);
+            const fromBlock = events.find((event) => event.event === "UnStaked").blockNumber;
+
+            await expect(hre.run("report:ledger", { contract: stakingContract.target, out: outDir, fromBlock }))
+                .to.be.rejectedWith(/does not reconcile[\s\S]*pool totalStaked for pool 0/);
+            const reconciliation = readCsv(path.join(outDir, "reconciliation.csv"));
+            expect(reconciliation.some((row) => row.ok === "false")).to.equal(true);
+        });
+    });
+
+    it("should quote CSV values holding commas or quotes", function () {
+        expect(toCsv(["name", "amount"], [{ name: 'USDT, "30 days"', amount: 1n }]))
+            .to.equal('name,amount\n"USDT, ""30 days""",1\n');
+    });
+});
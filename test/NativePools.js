@@ -0,0 +1,269 @@
+const {
+    time,
+    loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { NATIVE_TOKEN } = require("../scripts/lib/tokens");
+const { DAY, deployStakingContract, addPool, fundAccounts, applyChange } = require("./shared/fixtures");
+
+describe("StakingContract native ETH pools", function () {
+    const { parseEther } = ethers;
+    // pool 0 stakes ETH for ERC20 rewards, pool 1 stakes an ERC20 for ETH
+    // rewards and pool 2 is ETH on both sides
+    const ethStakingPool = 0;
+    const ethRewardPool = 1;
+    const ethOnlyPool = 2;
+
+    async function DeployNativePools() {
+        const [admin, user, feeWallet] = await ethers.getSigners();
+
+        const stakingContract = await deployStakingContract();
+        const stakingToken = await ethers.deployContract("StakingToken");
+        const rewardingToken = await ethers.deployContract("RewardToken");
+
+        await addPool(stakingContract, { name: "ETH staking", stakingToken: NATIVE_TOKEN, rewardToken: rewardingToken });
+        await addPool(stakingContract, {
+            name: "ETH rewards",
+            stakingToken,
+            rewardToken: NATIVE_TOKEN,
+            budget: parseEther("10"),
+        });
+        await addPool(stakingContract, {
+            name: "ETH only",
+            stakingToken: NATIVE_TOKEN,
+            rewardToken: NATIVE_TOKEN,
+            budget: parseEther("5"),
+        });
+
+        await fundAccounts(stakingContract, stakingToken, [user], parseEther("1000"));
+
+        return { stakingContract, stakingToken, rewardingToken, admin, user, feeWallet };
+    }
+
+    function paidReward(contract, receipt) {
+        return receipt.logs
+            .map((log) => contract.interface.parseLog(log))
+            .find((event) => event && event.name === "RewardPaid").args.amount;
+    }
+
+    describe("Funding", function () {
+        it("should take the reward budget of ETH pools as value", async function () {
+            const { stakingContract } = await loadFixture(DeployNativePools);
+
+            expect(await ethers.provider.getBalance(stakingContract.target)).to.equal(parseEther("15"));
+            expect((await stakingContract.poolFunding(ethRewardPool)).rewardBudget).to.equal(parseEther("10"));
+            expect((await stakingContract.pools(ethOnlyPool)).rewardToken).to.equal(NATIVE_TOKEN);
+        });
+        it("should reject an ETH budget that does not match the value", async function () {
+            const { stakingContract, stakingToken } = await loadFixture(DeployNativePools);
+
+            await expect(
+                stakingContract.addPool("ETH", 10, stakingToken, NATIVE_TOKEN, DAY, parseEther("10"), {
+                    value: parseEther("9"),
+                })
+            ).to.be.revertedWithCustomError(stakingContract, "InvalidValue");
+        });
+        it("should reject value sent along with an ERC20 budget", async function () {
+            const { stakingContract, stakingToken, rewardingToken } = await loadFixture(DeployNativePools);
+
+            await rewardingToken.approve(stakingContract.target, parseEther("10"));
+            await expect(
+                stakingContract.addPool("RWD", 10, stakingToken, rewardingToken, DAY, parseEther("10"), {
+                    value: parseEther("1"),
+                })
+            ).to.be.revertedWithCustomError(stakingContract, "InvalidValue");
+        });
+        it("should top up ETH reward pools", async function () {
+            const { stakingContract, admin } = await loadFixture(DeployNativePools);
+
+            await expect(
+                stakingContract.notifyRewardAmount(ethRewardPool, parseEther("2"), { value: parseEther("2") })
+            ).to.changeEtherBalances([admin, stakingContract], [-parseEther("2"), parseEther("2")]);
+            expect((await stakingContract.poolFunding(ethRewardPool)).rewardBudget).to.equal(parseEther("12"));
+
+            await expect(
+                stakingContract.notifyRewardAmount(ethRewardPool, parseEther("2"))
+            ).to.be.revertedWithCustomError(stakingContract, "InvalidValue");
+        });
+    });
+
+    describe("Staking", function () {
+        it("should stake ETH sent as value", async function () {
+            const { stakingContract, user } = await loadFixture(DeployNativePools);
+
+            const tx = stakingContract.connect(user).stake(ethStakingPool, parseEther("10"), { value: parseEther("10") });
+            await expect(tx)
+                .to.emit(stakingContract, "Staked")
+                .withArgs(user.address, ethStakingPool, parseEther("10"));
+            await expect(tx).to.changeEtherBalances([user, stakingContract], [-parseEther("10"), parseEther("10")]);
+            expect((await stakingContract.pools(ethStakingPool)).totalStaked).to.equal(parseEther("10"));
+        });
+        it("should stake ETH into a lock tier", async function () {
+            const { stakingContract, user } = await loadFixture(DeployNativePools);
+
+            await stakingContract.addLockTier(ethStakingPool, DAY * 30, 20000, 500);
+            await stakingContract.connect(user).stakeLocked(ethStakingPool, parseEther("1"), 1, {
+                value: parseEther("1"),
+            });
+
+            expect((await stakingContract.users(user.address, ethStakingPool)).boostedAmount)
+                .to.equal(parseEther("2"));
+        });
+        it("should reject a value that does not match the amount", async function () {
+            const { stakingContract, user } = await loadFixture(DeployNativePools);
+
+            await expect(
+                stakingContract.connect(user).stake(ethStakingPool, parseEther("10"), { value: parseEther("9") })
+            ).to.be.revertedWithCustomError(stakingContract, "InvalidValue");
+            await expect(
+                stakingContract.connect(user).stake(ethStakingPool, parseEther("10"))
+            ).to.be.revertedWithCustomError(stakingContract, "InvalidValue");
+        });
+        it("should reject value sent to an ERC20 staking pool", async function () {
+            const { stakingContract, user } = await loadFixture(DeployNativePools);
+
+            await expect(
+                stakingContract.connect(user).stake(ethRewardPool, parseEther("100"), { value: 1n })
+            ).to.be.revertedWithCustomError(stakingContract, "InvalidValue");
+        });
+    });
+
+    describe("Payouts", function () {
+        it("should return staked ETH and pay ERC20 rewards on unstake", async function () {
+            const { stakingContract, rewardingToken, user } = await loadFixture(DeployNativePools);
+
+            await stakingContract.connect(user).stake(ethStakingPool, parseEther("10"), { value: parseEther("10") });
+            await time.increase(DAY * 10);
+
+            // the 0.5% unstake fee stays in the contract while no fee wallet is set
+            const tx = stakingContract.connect(user).unStake(ethStakingPool);
+            await expect(tx)
+                .to.emit(stakingContract, "UnStaked")
+                .withArgs(user.address, ethStakingPool, parseEther("10"), parseEther("9.95"));
+            await expect(tx).to.changeEtherBalances([user, stakingContract], [parseEther("9.95"), -parseEther("9.95")]);
+            expect(await rewardingToken.balanceOf(user)).to.be.gt(0);
+            expect(await stakingContract.accruedFees(NATIVE_TOKEN)).to.equal(parseEther("0.05"));
+        });
+        it("should pay ETH rewards for an ERC20 stake", async function () {
+            const { stakingContract, stakingToken, user } = await loadFixture(DeployNativePools);
+
+            await stakingContract.connect(user).stake(ethRewardPool, parseEther("100"));
+            await time.increase(DAY * 10);
+
+            const tx = await stakingContract.connect(user).claimRewards(ethRewardPool);
+            const reward = paidReward(stakingContract, await tx.wait());
+            expect(reward).to.be.gt(0);
+            await expect(tx).to.changeEtherBalances([user, stakingContract], [reward, -reward]);
+            expect((await stakingContract.poolFunding(ethRewardPool)).rewardsPaid).to.equal(reward);
+
+            await expect(stakingContract.connect(user).unStake(ethRewardPool))
+                .to.changeTokenBalance(stakingToken, user, parseEther("99.5"));
+        });
+        it("should send ETH fees to the fee wallet", async function () {
+            const { stakingContract, admin, user, feeWallet } = await loadFixture(DeployNativePools);
+
+            await applyChange(stakingContract, admin, "scheduleFeeWalletUpdate", [feeWallet.address]);
+            await stakingContract.connect(user).stake(ethStakingPool, parseEther("10"), { value: parseEther("10") });
+
+            await expect(stakingContract.connect(user).withdraw(ethStakingPool, parseEther("4")))
+                .to.changeEtherBalances([user, feeWallet], [parseEther("3.98"), parseEther("0.02")]);
+            expect(await stakingContract.feeWalletBalance(NATIVE_TOKEN))
+                .to.equal(await ethers.provider.getBalance(feeWallet));
+        });
+        it("should sweep held ETH fees", async function () {
+            const { stakingContract, user, feeWallet } = await loadFixture(DeployNativePools);
+
+            await stakingContract.connect(user).stake(ethOnlyPool, parseEther("10"), { value: parseEther("10") });
+            await stakingContract.connect(user).unStake(ethOnlyPool);
+
+            await expect(stakingContract.sweepFees(NATIVE_TOKEN, feeWallet))
+                .to.changeEtherBalance(feeWallet, parseEther("0.05"));
+            expect(await stakingContract.accruedFees(NATIVE_TOKEN)).to.equal(0);
+        });
+        it("should compound ETH rewards into an ETH stake", async function () {
+            const { stakingContract, user } = await loadFixture(DeployNativePools);
+
+            await stakingContract.connect(user).stake(ethOnlyPool, parseEther("10"), { value: parseEther("10") });
+            await time.increase(DAY * 10);
+
+            await expect(stakingContract.connect(user).compound(ethOnlyPool))
+                .to.changeEtherBalance(stakingContract, 0);
+            const { stakedAmount } = await stakingContract.users(user.address, ethOnlyPool);
+            expect(stakedAmount).to.be.gt(parseEther("10"));
+
+            await expect(stakingContract.connect(user).unStake(ethOnlyPool))
+                .to.emit(stakingContract, "UnStaked")
+                .withArgs(user.address, ethOnlyPool, stakedAmount, stakedAmount - stakedAmount / 200n);
+        });
+        it("should return staked ETH on emergency withdrawal", async function () {
+            const { stakingContract, user } = await loadFixture(DeployNativePools);
+
+            await stakingContract.connect(user).stake(ethOnlyPool, parseEther("10"), { value: parseEther("10") });
+            await time.increase(DAY * 10);
+
+            // less the 0.5% unstake fee
+            await expect(stakingContract.connect(user).emergencyWithdraw(ethOnlyPool))
+                .to.changeEtherBalance(user, parseEther("9.95"));
+        });
+        it("should keep ETH principal and rewards out of the surplus", async function () {
+            const { stakingContract, user, feeWallet } = await loadFixture(DeployNativePools);
+
+            await stakingContract.connect(user).stake(ethStakingPool, parseEther("10"), { value: parseEther("10") });
+            await stakingContract.connect(user).stake(ethRewardPool, parseEther("100"));
+            expect(await stakingContract.surplus(NATIVE_TOKEN)).to.equal(0);
+
+            // once the pools end only what stakers earned stays reserved
+            await time.increase(DAY * 100);
+            const owed = await stakingContract.viewRewards(user.address, ethRewardPool);
+            const surplus = await stakingContract.surplus(NATIVE_TOKEN);
+            expect(surplus).to.equal(parseEther("15") - owed);
+
+            await expect(stakingContract.recoverSurplus(NATIVE_TOKEN, feeWallet))
+                .to.changeEtherBalance(feeWallet, surplus);
+            await expect(stakingContract.connect(user).claimRewards(ethRewardPool))
+                .to.changeEtherBalance(user, owed);
+            // no unstake fee once the pool has ended
+            await expect(stakingContract.connect(user).unStake(ethStakingPool))
+                .to.changeEtherBalance(user, parseEther("10"));
+        });
+    });
+
+    describe("Reentrancy", function () {
+        async function DeployReentrantStaker() {
+            const fixture = await DeployNativePools();
+            const staker = await ethers.deployContract("ReentrantStaker", [fixture.stakingContract.target]);
+            await staker.stake(ethOnlyPool, { value: parseEther("1") });
+            await time.increase(DAY * 10);
+            return { ...fixture, staker };
+        }
+
+        const reentries = [
+            ["claimRewards", [ethOnlyPool]],
+            ["withdraw", [ethOnlyPool, parseEther("1")]],
+            ["emergencyWithdraw", [ethOnlyPool]],
+        ];
+        for (const outer of ["claimRewards", "unStake"]) {
+            for (const [method, args] of reentries) {
+                it(`should not let an ETH receiver re-enter ${method} from ${outer}`, async function () {
+                    const { stakingContract, staker } = await loadFixture(DeployReentrantStaker);
+                    const { interface: iface } = stakingContract;
+
+                    await staker.setReentryCall(iface.encodeFunctionData(method, args));
+                    // the guard reverts the re-entry, which fails the payout
+                    await expect(staker.execute(iface.encodeFunctionData(outer, [ethOnlyPool])))
+                        .to.be.revertedWithCustomError(stakingContract, "NativeTransferFailed");
+                    expect((await stakingContract.users(staker.target, ethOnlyPool)).stakedAmount)
+                        .to.equal(parseEther("1"));
+                });
+            }
+        }
+        it("should pay a contract receiver that does not re-enter", async function () {
+            const { stakingContract, staker } = await loadFixture(DeployReentrantStaker);
+
+            await expect(staker.execute(stakingContract.interface.encodeFunctionData("unStake", [ethOnlyPool])))
+                .to.emit(stakingContract, "UnStaked")
+                .withArgs(staker.target, ethOnlyPool, parseEther("1"), parseEther("0.995"));
+        });
+    });
+});
@@ -0,0 +1,243 @@
+const {
+    time,
+    loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { DAY, missingRole, deployStakingContract } = require("./shared/fixtures");
+
+describe("StakingContract with non-standard tokens", function () {
+    const { parseEther, parseUnits } = ethers;
+
+    async function DeployStakingContract() {
+        const [admin, user, other] = await ethers.getSigners();
+
+        const stakingContract = await deployStakingContract();
+        const rewardingToken = await ethers.deployContract("RewardToken");
+
+        return { stakingContract, rewardingToken, admin, user, other };
+    }
+
+    describe("Fee on transfer", function () {
+        const poolId = 0;
+
+        // 1% of every transfer is burnt
+        async function DeployFeeOnTransferPool() {
+            const fixture = await DeployStakingContract();
+            const { stakingContract, rewardingToken, user } = fixture;
+            const feeToken = await ethers.deployContract("FeeOnTransferToken", [100]);
+
+            await rewardingToken.approve(stakingContract.target, parseEther("1000"));
+            await stakingContract.addPool("FEE", 10, feeToken, rewardingToken, DAY * 100, parseEther("1000"));
+            await stakingContract.startStaking(poolId);
+
+            await feeToken.transfer(user, parseEther("1000"));
+            await feeToken.connect(user).approve(stakingContract.target, parseEther("1000"));
+
+            return { ...fixture, feeToken };
+        }
+
+        it("should credit the stake with the amount received", async function () {
+            const { stakingContract, feeToken, user } = await loadFixture(DeployFeeOnTransferPool);
+
+            await expect(stakingContract.connect(user).stake(poolId, parseEther("100")))
+                .to.emit(stakingContract, "Staked")
+                .withArgs(user.address, poolId, parseEther("99"));
+
+            expect((await stakingContract.users(user.address, poolId)).stakedAmount).to.equal(parseEther("99"));
+            expect((await stakingContract.pools(poolId)).totalStaked).to.equal(parseEther("99"));
+            expect(await feeToken.balanceOf(stakingContract.target)).to.equal(parseEther("99"));
+            expect(await stakingContract.surplus(feeToken)).to.equal(0);
+        });
+        it("should keep exactly the held fees after unstaking", async function () {
+            const { stakingContract, feeToken, rewardingToken, user } = await loadFixture(DeployFeeOnTransferPool);
+
+            await stakingContract.connect(user).stake(poolId, parseEther("100"));
+            await time.increase(DAY * 10);
+
+            // 0.5% unstake fee on the 99 credited, the token burns 1% of the payout
+            await expect(stakingContract.connect(user).unStake(poolId))
+                .to.emit(stakingContract, "UnStaked")
+                .withArgs(user.address, poolId, parseEther("99"), parseEther("98.505"));
+            // the user was funded with 990 after the transfer fee
+            expect(await feeToken.balanceOf(user)).to.equal(parseEther("890") + parseEther("97.51995"));
+            expect(await rewardingToken.balanceOf(user)).to.be.gt(0);
+
+            expect(await stakingContract.accruedFees(feeToken)).to.equal(parseEther("0.495"));
+            expect(await feeToken.balanceOf(stakingContract.target)).to.equal(parseEther("0.495"));
+            expect(await stakingContract.surplus(feeToken)).to.equal(0);
+        });
+        it("should fund reward budgets with the amount received", async function () {
+            const { stakingContract, feeToken } = await loadFixture(DeployFeeOnTransferPool);
+
+            await feeToken.approve(stakingContract.target, parseEther("1100"));
+            await stakingContract.addPool("FEE rewards", 10, feeToken, feeToken, DAY * 100, parseEther("1000"));
+            expect((await stakingContract.poolFunding(1)).rewardBudget).to.equal(parseEther("990"));
+
+            await expect(stakingContract.notifyRewardAmount(1, parseEther("100")))
+                .to.emit(stakingContract, "RewardAdded")
+                .withArgs(1, parseEther("99"));
+            expect((await stakingContract.poolFunding(1)).rewardBudget).to.equal(parseEther("1089"));
+            expect(await stakingContract.surplus(feeToken)).to.equal(0);
+        });
+    });
+
+    describe("No return value", function () {
+        const poolId = 0;
+
+        // USDT style token staked and paid as rewards
+        async function DeployNoReturnPool() {
+            const fixture = await DeployStakingContract();
+            const { stakingContract, user } = fixture;
+            const usdt = await ethers.deployContract("NoReturnToken");
+
+            await usdt.approve(stakingContract.target, parseUnits("1000", 6));
+            await stakingContract.addPool("USDT", 10, usdt, usdt, DAY * 100, parseUnits("1000", 6));
+            await stakingContract.startStaking(poolId);
+
+            await usdt.transfer(user, parseUnits("1000", 6));
+
+            return { ...fixture, usdt };
+        }
+
+        it("should stake, claim and unstake", async function () {
+            const { stakingContract, usdt, user } = await loadFixture(DeployNoReturnPool);
+
+            await usdt.connect(user).approve(stakingContract.target, parseUnits("500", 6));
+            await stakingContract.connect(user).stake(poolId, parseUnits("500", 6));
+            expect(await usdt.balanceOf(user)).to.equal(parseUnits("500", 6));
+            await time.increase(DAY * 10);
+
+            await expect(stakingContract.connect(user).claimRewards(poolId)).to.emit(stakingContract, "RewardPaid");
+            await stakingContract.connect(user).unStake(poolId);
+
+            const { rewardsPaid } = await stakingContract.poolFunding(poolId);
+            expect(rewardsPaid).to.be.gt(0);
+            expect(await usdt.balanceOf(user)).to.equal(parseUnits("997.5", 6) + rewardsPaid);
+        });
+        it("should sweep held fees", async function () {
+            const { stakingContract, usdt, user, other } = await loadFixture(DeployNoReturnPool);
+
+            await usdt.connect(user).approve(stakingContract.target, parseUnits("500", 6));
+            await stakingContract.connect(user).stake(poolId, parseUnits("500", 6));
+            await stakingContract.connect(user).withdraw(poolId, parseUnits("100", 6));
+
+            await stakingContract.sweepFees(usdt, other);
+            expect(await usdt.balanceOf(other)).to.equal(parseUnits("0.5", 6));
+        });
+        it("should revert when the token refuses the transfer", async function () {
+            const { stakingContract, user } = await loadFixture(DeployNoReturnPool);
+
+            await expect(stakingContract.connect(user).stake(poolId, parseUnits("500", 6)))
+                .to.be.revertedWith("NoReturnToken: insufficient allowance");
+        });
+    });
+
+    describe("Revert on zero", function () {
+        const poolId = 0;
+
+        async function DeployRevertOnZeroPool() {
+            const fixture = await DeployStakingContract();
+            const { stakingContract, user } = fixture;
+            const zeroToken = await ethers.deployContract("RevertOnZeroToken");
+
+            await zeroToken.approve(stakingContract.target, parseEther("1000"));
+            await stakingContract.addPool("ZRT", 10, zeroToken, zeroToken, DAY * 30, parseEther("1000"));
+            await stakingContract.startStaking(poolId);
+
+            await zeroToken.transfer(user, parseEther("1000"));
+            await zeroToken.connect(user).approve(stakingContract.target, parseEther("1000"));
+            await stakingContract.connect(user).stake(poolId, parseEther("100"));
+
+            return { ...fixture, zeroToken };
+        }
+
+        it("should claim nothing without transferring zero", async function () {
+            const { stakingContract, user } = await loadFixture(DeployRevertOnZeroPool);
+
+            // rewards stop at the pool end, the second claim has nothing to pay
+            await time.increase(DAY * 31);
+            await stakingContract.connect(user).claimRewards(poolId);
+
+            await expect(stakingContract.connect(user).claimRewards(poolId))
+                .to.emit(stakingContract, "RewardPaid")
+                .withArgs(user.address, poolId, 0);
+        });
+        it("should unstake with no rewards left and no fee", async function () {
+            const { stakingContract, zeroToken, user } = await loadFixture(DeployRevertOnZeroPool);
+
+            await time.increase(DAY * 31);
+            await stakingContract.connect(user).claimRewards(poolId);
+
+            await expect(stakingContract.connect(user).unStake(poolId))
+                .to.changeTokenBalance(zeroToken, user, parseEther("100"));
+        });
+        it("should reject zero amount stakes before any transfer", async function () {
+            const { stakingContract, user } = await loadFixture(DeployRevertOnZeroPool);
+
+            await expect(stakingContract.connect(user).stake(poolId, 0))
+                .to.be.revertedWithCustomError(stakingContract, "InvalidStakeAmount");
+        });
+    });
+
+    describe("Rebasing", function () {
+        it("should refuse tokens exposing rebasing share views", async function () {
+            const { stakingContract, rewardingToken } = await loadFixture(DeployStakingContract);
+            const rebasingToken = await ethers.deployContract("RebasingToken");
+
+            await rewardingToken.approve(stakingContract.target, parseEther("1000"));
+            await expect(stakingContract.addPool("REB", 10, rebasingToken, rewardingToken, DAY, parseEther("1000")))
+                .to.be.revertedWithCustomError(stakingContract, "RebasingToken")
+                .withArgs(rebasingToken.target);
+
+            await rebasingToken.approve(stakingContract.target, parseEther("1000"));
+            await expect(stakingContract.addPool("REB", 10, rewardingToken, rebasingToken, DAY, parseEther("1000")))
+                .to.be.revertedWithCustomError(stakingContract, "RebasingToken")
+                .withArgs(rebasingToken.target);
+        });
+        it("should accept tokens whose fallback answers every call", async function () {
+            const { stakingContract, rewardingToken } = await loadFixture(DeployStakingContract);
+            const fallbackToken = await ethers.deployContract("FallbackToken");
+
+            await rewardingToken.approve(stakingContract.target, parseEther("1000"));
+            await expect(stakingContract.addPool("FBK", 10, fallbackToken, rewardingToken, DAY, parseEther("1000")))
+                .to.emit(stakingContract, "PoolAdded");
+        });
+        it("should refuse tokens flagged by the admin", async function () {
+            const { stakingContract, rewardingToken } = await loadFixture(DeployStakingContract);
+            const stakingToken = await ethers.deployContract("StakingToken");
+
+            await expect(stakingContract.setRebasingToken(stakingToken, true))
+                .to.emit(stakingContract, "RebasingTokenFlagged")
+                .withArgs(stakingToken.target, true);
+
+            await rewardingToken.approve(stakingContract.target, parseEther("1000"));
+            await expect(stakingContract.addPool("STK", 10, stakingToken, rewardingToken, DAY, parseEther("1000")))
+                .to.be.revertedWithCustomError(stakingContract, "RebasingToken");
+
+            await stakingContract.setRebasingToken(stakingToken, false);
+            await expect(stakingContract.addPool("STK", 10, stakingToken, rewardingToken, DAY, parseEther("1000")))
+                .to.emit(stakingContract, "PoolAdded");
+        });
+        it("should leave pools added before the flag untouched", async function () {
+            const { stakingContract, rewardingToken, user } = await loadFixture(DeployStakingContract);
+            const stakingToken = await ethers.deployContract("StakingToken");
+
+            await rewardingToken.approve(stakingContract.target, parseEther("1000"));
+            await stakingContract.addPool("STK", 10, stakingToken, rewardingToken, DAY * 100, parseEther("1000"));
+            await stakingContract.startStaking(0);
+            await stakingContract.setRebasingToken(stakingToken, true);
+
+            await stakingToken.transfer(user, parseEther("100"));
+            await stakingToken.connect(user).approve(stakingContract.target, parseEther("100"));
+            await expect(stakingContract.connect(user).stake(0, parseEther("100")))
+                .to.emit(stakingContract, "Staked");
+        });
+        it("should only let the admin flag tokens", async function () {
+            const { stakingContract, rewardingToken, user } = await loadFixture(DeployStakingContract);
+
+            await expect(stakingContract.connect(user).setRebasingToken(rewardingToken, true))
+                .to.be.revertedWith(missingRole(user, await stakingContract.DEFAULT_ADMIN_ROLE()));
+        });
+    });
+});
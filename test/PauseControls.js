@@ -0,0 +1,241 @@
+const {
+    time,
+    loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { DAY, STAKE, CLAIM, UNSTAKE, deployStakingContract } = require("./shared/fixtures");
+
+describe("StakingContract pause controls", function () {
+    // pool 0 pays rewards in its staking token so it can compound, pool 1 is
+    // only there to check pauses do not leak across pools
+    const poolId = 0;
+    const otherPoolId = 1;
+    const stakingAmount = ethers.parseEther("100");
+
+    async function DeployStakingContract() {
+        const [admin, user] = await ethers.getSigners();
+
+        const stakingContract = await deployStakingContract();
+        const stakingToken = await ethers.deployContract("StakingToken");
+        const rewardingToken = await ethers.deployContract("RewardToken");
+
+        await stakingToken.approve(stakingContract.target, ethers.parseEther("1000"));
+        await stakingContract.addPool("Compounding", 10, stakingToken, stakingToken, DAY * 100, ethers.parseEther("1000"));
+        await rewardingToken.approve(stakingContract.target, ethers.parseEther("1000"));
+        await stakingContract.addPool("Other", 10, stakingToken, rewardingToken, DAY * 100, ethers.parseEther("1000"));
+        await stakingContract.startStaking(poolId);
+        await stakingContract.startStaking(otherPoolId);
+
+        await stakingToken.transfer(user, ethers.parseEther("1000"));
+        await stakingToken.connect(user).approve(stakingContract.target, ethers.parseEther("1000"));
+        for (const id of [poolId, otherPoolId]) {
+            await stakingContract.connect(user).stake(id, stakingAmount);
+        }
+        await time.increase(DAY);
+
+        return { stakingContract, stakingToken, rewardingToken, admin, user };
+    }
+
+    const actions = [
+        { name: "stake", action: STAKE, call: (contract, id) => contract.stake(id, stakingAmount) },
+        { name: "claim", action: CLAIM, call: (contract, id) => contract.claimRewards(id) },
+        { name: "unstake", action: UNSTAKE, call: (contract, id) => contract.unStake(id) },
+        // an exit from reward failures, it stops with unstaking
+        { name: "emergency withdraw", pausedAs: "unstake", action: UNSTAKE, call: (contract, id) => contract.emergencyWithdraw(id) },
+    ];
+
+    describe("Action matrix", function () {
+        for (const { name, pausedAs = name, action, call } of actions) {
+            it(`should ${name} when nothing is paused`, async function () {
+                const { stakingContract, user } = await loadFixture(DeployStakingContract);
+
+                await expect(call(stakingContract.connect(user), poolId)).to.not.be.reverted;
+            });
+            it(`should not ${name} when ${pausedAs} is paused on the pool`, async function () {
+                const { stakingContract, user } = await loadFixture(DeployStakingContract);
+
+                await stakingContract.setPaused(poolId, action, true);
+
+                await expect(call(stakingContract.connect(user), poolId))
+                    .to.be.revertedWithCustomError(stakingContract, "ActionPaused")
+                    .withArgs(poolId, action);
+            });
+            it(`should ${name} when ${pausedAs} is paused on another pool`, async function () {
+                const { stakingContract, user } = await loadFixture(DeployStakingContract);
+
+                await stakingContract.setPaused(otherPoolId, action, true);
+
+                await expect(call(stakingContract.connect(user), poolId)).to.not.be.reverted;
+            });
+            it(`should ${name} when only the other actions are paused`, async function () {
+                const { stakingContract, user } = await loadFixture(DeployStakingContract);
+
+                for (const other of actions.filter((entry) => entry.action !== action)) {
+                    await stakingContract.setPaused(poolId, other.action, true);
+                }
+
+                await expect(call(stakingContract.connect(user), poolId)).to.not.be.reverted;
+            });
+            it(`should not ${name} during an emergency pause`, async function () {
+                const { stakingContract, user } = await loadFixture(DeployStakingContract);
+
+                await stakingContract.setEmergencyPause(true);
+
+                await expect(call(stakingContract.connect(user), poolId))
+                    .to.be.revertedWithCustomError(stakingContract, "EmergencyPaused");
+                await expect(call(stakingContract.connect(user), otherPoolId))
+                    .to.be.revertedWithCustomError(stakingContract, "EmergencyPaused");
+            });
+            it(`should keep ${name} paused on the pool after the emergency pause is lifted`, async function () {
+                const { stakingContract, user } = await loadFixture(DeployStakingContract);
+
+                await stakingContract.setPaused(poolId, action, true);
+                await stakingContract.setEmergencyPause(true);
+                await stakingContract.setEmergencyPause(false);
+
+                await expect(call(stakingContract.connect(user), poolId))
+                    .to.be.revertedWithCustomError(stakingContract, "ActionPaused")
+                    .withArgs(poolId, action);
+                await expect(call(stakingContract.connect(user), otherPoolId)).to.not.be.reverted;
+            });
+        }
+
+        it("should gate compounding on both staking and claims", async function () {
+            const { stakingContract, admin, user } = await loadFixture(DeployStakingContract);
+
+            for (const action of [STAKE, CLAIM]) {
+                await stakingContract.setPaused(poolId, action, true);
+                await expect(stakingContract.connect(user).compound(poolId))
+                    .to.be.revertedWithCustomError(stakingContract, "ActionPaused")
+                    .withArgs(poolId, action);
+                await expect(stakingContract.connect(admin).compoundFor(poolId, [user.address]))
+                    .to.be.revertedWithCustomError(stakingContract, "ActionPaused")
+                    .withArgs(poolId, action);
+                await stakingContract.setPaused(poolId, action, false);
+            }
+
+            await stakingContract.setPaused(poolId, UNSTAKE, true);
+            await expect(stakingContract.connect(user).compound(poolId))
+                .to.emit(stakingContract, "Compounded");
+        });
+    });
+
+    describe("Pause state", function () {
+        it("should emit PauseChanged and EmergencyPauseChanged", async function () {
+            const { stakingContract } = await loadFixture(DeployStakingContract);
+
+            await expect(stakingContract.setPaused(poolId, CLAIM, true))
+                .to.emit(stakingContract, "PauseChanged")
+                .withArgs(poolId, CLAIM, true);
+            await expect(stakingContract.setPaused(poolId, CLAIM, false))
+                .to.emit(stakingContract, "PauseChanged")
+                .withArgs(poolId, CLAIM, false);
+            await expect(stakingContract.setEmergencyPause(true))
+                .to.emit(stakingContract, "EmergencyPauseChanged")
+                .withArgs(true);
+        });
+        it("should not pause a pool that does not exist", async function () {
+            const { stakingContract } = await loadFixture(DeployStakingContract);
+
+            await expect(stakingContract.setPaused(5, STAKE, true))
+                .to.be.revertedWithCustomError(stakingContract, "PoolNotExists");
+        });
+        it("should report the effective pool state", async function () {
+            const { stakingContract, stakingToken } = await loadFixture(DeployStakingContract);
+
+            let state = await stakingContract.getPoolState(poolId);
+            expect(state.started).to.equal(true);
+            expect(state.ended).to.equal(false);
+            expect([state.canStake, state.canClaim, state.canUnstake]).to.deep.equal([true, true, true]);
+
+            await stakingContract.setPaused(poolId, STAKE, true);
+            state = await stakingContract.getPoolState(poolId);
+            expect(state.stakePaused).to.equal(true);
+            expect([state.canStake, state.canClaim, state.canUnstake]).to.deep.equal([false, true, true]);
+
+            await stakingContract.setEmergencyPause(true);
+            state = await stakingContract.getPoolState(poolId);
+            expect(state.emergencyPaused).to.equal(true);
+            expect([state.canStake, state.canClaim, state.canUnstake]).to.deep.equal([false, false, false]);
+
+            await stakingContract.setEmergencyPause(false);
+            await stakingContract.setPaused(poolId, STAKE, false);
+            await time.increase(DAY * 100);
+            state = await stakingContract.getPoolState(poolId);
+            expect(state.ended).to.equal(true);
+            expect([state.canStake, state.canClaim, state.canUnstake]).to.deep.equal([false, true, true]);
+
+            // a pool that was added but not started takes no stakes yet
+            await stakingToken.approve(stakingContract.target, ethers.parseEther("1"));
+            await stakingContract.addPool("Later", 10, stakingToken, stakingToken, DAY, ethers.parseEther("1"));
+            state = await stakingContract.getPoolState(2);
+            expect(state.started).to.equal(false);
+            expect(state.canStake).to.equal(false);
+
+            await expect(stakingContract.getPoolState(5))
+                .to.be.revertedWithCustomError(stakingContract, "PoolNotExists");
+        });
+        it("should keep rewards owed when unstaking while claims are paused", async function () {
+            const { stakingContract, stakingToken, user } = await loadFixture(DeployStakingContract);
+
+            await stakingContract.setPaused(poolId, CLAIM, true);
+            const balanceBefore = await stakingToken.balanceOf(user);
+
+            await expect(stakingContract.connect(user).unStake(poolId))
+                .to.emit(stakingContract, "UnStaked")
+                .and.not.to.emit(stakingContract, "RewardPaid");
+
+            const fee = stakingAmount * (await stakingContract.unstakeFee(poolId)) / 10000n;
+            expect(await stakingToken.balanceOf(user)).to.equal(balanceBefore + stakingAmount - fee);
+
+            const position = await stakingContract.users(user.address, poolId);
+            expect(position.stakedAmount).to.equal(0);
+            expect(position.reward).to.be.gt(0);
+
+            // the owed reward no longer grows and is paid once claims resume
+            await time.increase(DAY);
+            expect(await stakingContract.viewRewards(user.address, poolId)).to.equal(position.reward);
+            await stakingContract.setPaused(poolId, CLAIM, false);
+            await expect(stakingContract.connect(user).claimRewards(poolId))
+                .to.emit(stakingContract, "RewardPaid")
+                .withArgs(user.address, poolId, position.reward);
+            await expect(stakingContract.connect(user).claimRewards(poolId))
+                .to.be.revertedWithCustomError(stakingContract, "NoAmountStaked");
+        });
+    });
+
+    describe("Pool start", function () {
+        it("should start a pool only once", async function () {
+            const { stakingContract } = await loadFixture(DeployStakingContract);
+
+            const before = await stakingContract.pools(poolId);
+            await time.increase(DAY * 10);
+
+            await expect(stakingContract.startStaking(poolId))
+                .to.be.revertedWithCustomError(stakingContract, "StakingStarted");
+            const after = await stakingContract.pools(poolId);
+            expect(after.stakingStartTime).to.equal(before.stakingStartTime);
+            expect(after.poolValidityPeriod).to.equal(before.poolValidityPeriod);
+        });
+        it("should not start a pool that does not exist", async function () {
+            const { stakingContract } = await loadFixture(DeployStakingContract);
+
+            await expect(stakingContract.startStaking(5))
+                .to.be.revertedWithCustomError(stakingContract, "PoolNotExists");
+        });
+        it("should keep the pool started and its end time while staking is paused", async function () {
+            const { stakingContract, user } = await loadFixture(DeployStakingContract);
+
+            const before = await stakingContract.pools(poolId);
+            await stakingContract.setPaused(poolId, STAKE, true);
+            await time.increase(DAY * 10);
+            await stakingContract.setPaused(poolId, STAKE, false);
+
+            const after = await stakingContract.pools(poolId);
+            expect(after.stakingStarted).to.equal(true);
+            expect(after.poolValidityPeriod).to.equal(before.poolValidityPeriod);
+            await expect(stakingContract.connect(user).stake(poolId, stakingAmount)).to.not.be.reverted;
+        });
+    });
+});
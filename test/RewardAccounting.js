@@ -0,0 +1,287 @@
+const {
+    time,
+    loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { DAY, deployStakingContract, addPool, fundAccounts, applyChange } = require("./shared/fixtures");
+const { createRandom } = require("./shared/random");
+
+const SEC_IN_YEAR = 365n * 24n * 60n * 60n;
+const PRECISION = 10n ** 18n;
+const POOL_VALIDITY = 20 * DAY;
+const UNSTAKE_FEE_BPS = 50n;
+const STEPS = 30;
+const SEEDS = [1, 7, 42];
+
+// Off-chain copy of the StakingContract reward accumulator. It uses the same
+// integer math so every view can be compared exactly, and additionally keeps
+// the ideal (unrounded) reward of every user to bound the rounding loss.
+class RewardModel {
+    constructor(apy, startTime, endTime) {
+        this.apy = apy;
+        this.endTime = endTime;
+        this.lastUpdateTime = startTime;
+        this.rewardPerTokenStored = 0n;
+        this.users = new Map();
+    }
+
+    user(address) {
+        if (!this.users.has(address)) {
+            this.users.set(address, {
+                staked: 0n,
+                paid: 0n,
+                reward: 0n,
+                claimed: 0n,
+                fees: 0n,
+                idealNumerator: 0n,
+                lastIdealTime: 0n,
+            });
+        }
+        return this.users.get(address);
+    }
+
+    rewardPerToken(now) {
+        const lastTime = now < this.endTime ? now : this.endTime;
+        if (lastTime <= this.lastUpdateTime) {
+            return this.rewardPerTokenStored;
+        }
+        return this.rewardPerTokenStored +
+            ((lastTime - this.lastUpdateTime) * this.apy * PRECISION) / (100n * SEC_IN_YEAR);
+    }
+
+    earned(address, now) {
+        const account = this.user(address);
+        return (account.staked * (this.rewardPerToken(now) - account.paid)) / PRECISION + account.reward;
+    }
+
+    // Integrates staked * apy * dt for every user without any rounding
+    accrueIdeal(now) {
+        const lastTime = now < this.endTime ? now : this.endTime;
+        for (const account of this.users.values()) {
+            if (lastTime > account.lastIdealTime) {
+                account.idealNumerator += account.staked * this.apy * (lastTime - account.lastIdealTime);
+            }
+            account.lastIdealTime = lastTime;
+        }
+    }
+
+    checkpoint(address, now) {
+        if (address) {
+            // register the user before integrating so its ideal clock starts now
+            this.user(address);
+        }
+        this.accrueIdeal(now);
+        this.rewardPerTokenStored = this.rewardPerToken(now);
+        const lastTime = now < this.endTime ? now : this.endTime;
+        if (lastTime > this.lastUpdateTime) {
+            this.lastUpdateTime = lastTime;
+        }
+        if (address) {
+            const account = this.user(address);
+            account.reward = this.earned(address, now);
+            account.paid = this.rewardPerTokenStored;
+        }
+    }
+
+    stake(address, amount, now) {
+        this.checkpoint(address, now);
+        this.user(address).staked += amount;
+    }
+
+    claim(address, now) {
+        this.checkpoint(address, now);
+        const account = this.user(address);
+        const reward = account.reward;
+        account.claimed += reward;
+        account.reward = 0n;
+        return reward;
+    }
+
+    unstake(address, now) {
+        this.claim(address, now);
+        const account = this.user(address);
+        if (now < this.endTime) {
+            account.fees += (account.staked * UNSTAKE_FEE_BPS) / 10000n;
+        }
+        account.staked = 0n;
+    }
+
+    setAPY(apy, now) {
+        this.checkpoint(undefined, now);
+        this.apy = apy;
+    }
+
+    idealReward(address) {
+        return this.user(address).idealNumerator / (100n * SEC_IN_YEAR);
+    }
+}
+
+describe("StakingContract reward accounting", function () {
+    const poolId = 0;
+
+    async function DeployStakingContract() {
+        const [owner, feeWallet, ...stakers] = await ethers.getSigners();
+        const users = stakers.slice(0, 3);
+
+        const stakingContract = await deployStakingContract();
+        const stakingToken = await ethers.deployContract("StakingToken");
+        const rewardingToken = await ethers.deployContract("RewardToken");
+
+        await applyChange(stakingContract, owner, "scheduleFeeWalletUpdate", [feeWallet.address]);
+        await fundAccounts(stakingContract, stakingToken, users, ethers.parseEther("10000"));
+        await addPool(stakingContract, {
+            name: "Fuzz",
+            stakingToken,
+            rewardToken: rewardingToken,
+            validity: POOL_VALIDITY,
+            budget: ethers.parseEther("10000"),
+        });
+
+        return { stakingContract, stakingToken, rewardingToken, owner, feeWallet, users };
+    }
+
+    async function expectMatchesModel(fixture, model, label) {
+        const { stakingContract, stakingToken, rewardingToken, feeWallet, users } = fixture;
+        const now = BigInt(await time.latest());
+        let totalStaked = 0n;
+        let totalFees = 0n;
+
+        for (const user of users) {
+            const account = model.user(user.address);
+            const onChain = await stakingContract.users(user.address, poolId);
+
+            expect(onChain.stakedAmount, `${label}: staked`).to.equal(account.staked);
+            expect(await stakingContract.viewRewards(user.address, poolId), `${label}: pending`)
+                .to.equal(model.earned(user.address, now));
+            expect(await rewardingToken.balanceOf(user), `${label}: claimed`).to.equal(account.claimed);
+
+            totalStaked += account.staked;
+            totalFees += account.fees;
+        }
+
+        expect((await stakingContract.pools(poolId)).totalStaked, `${label}: total staked`)
+            .to.equal(totalStaked);
+        expect(await stakingToken.balanceOf(feeWallet), `${label}: fees`).to.equal(totalFees);
+    }
+
+    for (const seed of SEEDS) {
+        it(`should match the reference model for random sequence (seed ${seed})`, async function () {
+            const fixture = await loadFixture(DeployStakingContract);
+            const { stakingContract, owner, users } = fixture;
+            const random = createRandom(seed);
+
+            const pool = await stakingContract.pools(poolId);
+            const model = new RewardModel(pool.stakeAPY, pool.lastUpdateTime, pool.poolValidityPeriod);
+            let now = Number(pool.lastUpdateTime);
+
+            for (let step = 0; step < STEPS; step++) {
+                now += 1 + Math.floor(random.next() * 1.5 * DAY);
+                await time.setNextBlockTimestamp(now);
+
+                const user = random.pick(users);
+                const action = random.next();
+                const blockTime = BigInt(now);
+                const label = `seed ${seed} step ${step}`;
+
+                if (action < 0.4) {
+                    const amount = ethers.parseEther(String(random.int(1, 1000)));
+                    if (blockTime >= model.endTime) {
+                        await expect(stakingContract.connect(user).stake(poolId, amount))
+                            .to.be.revertedWithCustomError(stakingContract, "PoolEnded");
+                        continue;
+                    }
+                    await stakingContract.connect(user).stake(poolId, amount);
+                    model.stake(user.address, amount, blockTime);
+                } else if (action < 0.65) {
+                    if (model.user(user.address).staked === 0n) {
+                        await expect(stakingContract.connect(user).claimRewards(poolId))
+                            .to.be.revertedWithCustomError(stakingContract, "NoAmountStaked");
+                        continue;
+                    }
+                    const reward = model.claim(user.address, blockTime);
+                    await expect(stakingContract.connect(user).claimRewards(poolId))
+                        .to.emit(stakingContract, "RewardPaid")
+                        .withArgs(user.address, poolId, reward);
+                } else if (action < 0.85) {
+                    if (model.user(user.address).staked === 0n) {
+                        await expect(stakingContract.connect(user).unStake(poolId))
+                            .to.be.revertedWithCustomError(stakingContract, "NoAmountStaked");
+                        continue;
+                    }
+                    await stakingContract.connect(user).unStake(poolId);
+                    model.unstake(user.address, blockTime);
+                } else {
+                    const apy = BigInt(random.int(1, 50));
+                    const changeId = await stakingContract.scheduleAPYUpdate.staticCall(poolId, apy);
+                    await stakingContract.connect(owner).scheduleAPYUpdate(poolId, apy);
+                    // the zero timelock delay lets the change execute in the next block
+                    now += 1;
+                    await time.setNextBlockTimestamp(now);
+                    await stakingContract.connect(owner).executeChange(changeId);
+                    model.setAPY(apy, BigInt(now));
+                }
+
+                await expectMatchesModel(fixture, model, label);
+            }
+
+            // settle everyone well after expiry and compare with the unrounded rewards
+            now = Math.max(now, Number(model.endTime)) + DAY;
+            for (const user of users) {
+                model.checkpoint(user.address, BigInt(now));
+                const account = model.user(user.address);
+                const total = account.claimed + account.reward;
+                const ideal = model.idealReward(user.address);
+
+                // each checkpoint truncates the accumulator by less than one unit per token
+                expect(total).to.be.lte(ideal);
+                expect(ideal - total).to.be.lte(BigInt(STEPS) * 10n ** 4n);
+            }
+        });
+    }
+
+    it("should not lose rewards earned before a top-up", async function () {
+        const { stakingContract, users } = await loadFixture(DeployStakingContract);
+        const [user] = users;
+        const amount = ethers.parseEther("1000");
+
+        await stakingContract.connect(user).stake(poolId, amount);
+        await time.increase(DAY);
+        await stakingContract.connect(user).stake(poolId, amount);
+        const pendingAfterTopUp = await stakingContract.viewRewards(user.address, poolId);
+
+        // one day of 1000 tokens at 10% APY survives the second stake
+        const oneDay = (amount * 10n * BigInt(DAY)) / (100n * SEC_IN_YEAR);
+        // the second stake lands one second after the time jump
+        expect(pendingAfterTopUp).to.be.closeTo(oneDay, ethers.parseUnits("1", 13));
+    });
+
+    it("should apply each APY only to the time it was active", async function () {
+        const { stakingContract, owner, users } = await loadFixture(DeployStakingContract);
+        const [user] = users;
+        const amount = ethers.parseEther("1000");
+
+        await stakingContract.connect(user).stake(poolId, amount);
+        await time.increase(DAY);
+        const changeId = await stakingContract.scheduleAPYUpdate.staticCall(poolId, 20);
+        await stakingContract.connect(owner).scheduleAPYUpdate(poolId, 20);
+        await stakingContract.connect(owner).executeChange(changeId);
+        await time.increase(DAY);
+
+        const expected = (amount * 30n * BigInt(DAY)) / (100n * SEC_IN_YEAR);
+        expect(await stakingContract.viewRewards(user.address, poolId))
+            .to.be.closeTo(expected, ethers.parseUnits("1", 14));
+    });
+
+    it("should stop accruing rewards at the pool validity period", async function () {
+        const { stakingContract, users } = await loadFixture(DeployStakingContract);
+        const [user] = users;
+
+        await stakingContract.connect(user).stake(poolId, ethers.parseEther("1000"));
+        await time.increase(POOL_VALIDITY);
+        const atExpiry = await stakingContract.viewRewards(user.address, poolId);
+
+        await time.increase(10 * DAY);
+        expect(await stakingContract.viewRewards(user.address, poolId)).to.equal(atExpiry);
+    });
+});
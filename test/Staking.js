@@ -5,6 +5,17 @@ const {
 const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const {
+    STAKE,
+    CLAIM,
+    UNSTAKE,
+    POOL_MANAGER_ROLE,
+    PAUSER_ROLE,
+    TREASURY_ROLE,
+    missingRole,
+    deployStakingContract,
+    applyChange,
+} = require("./shared/fixtures");
 const { hours } = require("@nomicfoundation/hardhat-network-helpers/dist/src/helpers/time/duration");
 
 describe("StakingContract", function () {
@@ -15,12 +26,14 @@ describe("StakingContract", function () {
     let user2;
     let feeWallet;
 
+    // every test adds its pool first, so it gets the first pool ID
+    const poolId = 0;
+
     async function DeployStakingContract() {
         [owner, user1, user2, feeWallet] = await ethers.getSigners();
 
 
-        const stakingCT = await ethers.getContractFactory("StakingContract");
-        const stakingContract = await stakingCT.deploy();
+        const stakingContract = await deployStakingContract();
 
         const StakingTK = await ethers.getContractFactory("StakingToken");
         const stakingToken = await StakingTK.deploy();
@@ -28,7 +41,7 @@ describe("StakingContract", function () {
         const RewardingTK = await ethers.getContractFactory("RewardToken");
         const rewardingToken = await RewardingTK.deploy();
 
-        await stakingContract.connect(owner).setFeeWallet(feeWallet);
+        await applyChange(stakingContract, owner, "scheduleFeeWalletUpdate", [feeWallet.address]);
 
         const rewardingAllowanceAmount = ethers.parseEther("1000");
         await rewardingToken.approve(stakingContract.target, rewardingAllowanceAmount);
@@ -56,7 +69,6 @@ describe("StakingContract", function () {
 
             await stakingContract.connect(owner).addPool(
                 poolName,
-                stakingToken,
                 stakeAPY,
                 stakingToken,
                 rewardingToken,
@@ -65,13 +77,58 @@ describe("StakingContract", function () {
             );
 
             // Starting staking
-            await stakingContract.connect(owner).startStaking(stakingToken);
+            await stakingContract.connect(owner).startStaking(poolId);
 
-            const checkPoolAfter = await stakingContract.pools(stakingToken);
+            const checkPoolAfter = await stakingContract.pools(poolId);
 
             expect(checkPoolAfter.poolExists).to.be.true;
 
         });
+        it("should allow several pools for the same staking token", async function () {
+
+            const { stakingContract, stakingToken, rewardingToken } = await loadFixture(DeployStakingContract);
+
+            const rewardingAllowanceAmount = ethers.parseEther("500");
+
+            await expect(stakingContract.connect(owner).addPool(
+                "USDT 30 days",
+                5,
+                stakingToken,
+                rewardingToken,
+                86400 * 30,
+                rewardingAllowanceAmount
+            )).to.emit(stakingContract, "PoolAdded")
+                .withArgs(0, "USDT 30 days", 5, stakingToken.target, rewardingToken.target, 86400 * 30);
+
+            await expect(stakingContract.connect(owner).addPool(
+                "USDT 90 days",
+                8,
+                stakingToken,
+                rewardingToken,
+                86400 * 90,
+                rewardingAllowanceAmount
+            )).to.emit(stakingContract, "PoolAdded")
+                .withArgs(1, "USDT 90 days", 8, stakingToken.target, rewardingToken.target, 86400 * 90);
+
+            expect(await stakingContract.poolCount()).to.equal(2);
+
+            const allPools = await stakingContract.getPools();
+            expect(allPools.length).to.equal(2);
+            expect(allPools[0].poolName).to.equal("USDT 30 days");
+            expect(allPools[1].poolName).to.equal("USDT 90 days");
+            expect(allPools[1].stakingToken).to.equal(stakingToken.target);
+            expect(await stakingContract.getPool(1)).to.deep.equal(allPools[1]);
+            await expect(stakingContract.getPool(2))
+                .to.be.revertedWithCustomError(stakingContract, "PoolNotExists");
+
+            // stakes in one pool do not show up in the other
+            await stakingContract.connect(owner).startStaking(0);
+            await stakingContract.connect(owner).startStaking(1);
+            await stakingContract.connect(owner).stake(1, ethers.parseEther("100"));
+
+            expect((await stakingContract.users(owner.address, 0)).stakedAmount).to.equal(0);
+            expect((await stakingContract.users(owner.address, 1)).stakedAmount).to.equal(ethers.parseEther("100"));
+        });
         it("should allow the owner to update the pool APY%", async function () {
 
             const { stakingContract, stakingToken, rewardingToken } = await loadFixture(DeployStakingContract);
@@ -84,7 +141,6 @@ describe("StakingContract", function () {
 
             await stakingContract.connect(owner).addPool(
                 poolName,
-                stakingToken,
                 stakeAPY,
                 stakingToken,
                 rewardingToken,
@@ -92,9 +148,9 @@ describe("StakingContract", function () {
                 rewardingAllowanceAmount
             );
 
-            await stakingContract.updatePoolAPY(stakingToken, 3);
+            await applyChange(stakingContract, owner, "scheduleAPYUpdate", [poolId, 3]);
 
-            const checkPoolAPY = await stakingContract.pools(stakingToken);
+            const checkPoolAPY = await stakingContract.pools(poolId);
 
             expect(checkPoolAPY.stakeAPY.toString()).to.equal('3');
 
@@ -112,7 +168,6 @@ describe("StakingContract", function () {
 
             await stakingContract.connect(owner).addPool(
                 poolName,
-                stakingToken,
                 stakeAPY,
                 stakingToken,
                 rewardingToken,
@@ -121,8 +176,8 @@ describe("StakingContract", function () {
             );
 
             // Starting staking
-            await stakingContract.connect(owner).startStaking(stakingToken);
-            const checkPoolAfter = await stakingContract.pools(stakingToken);
+            await stakingContract.connect(owner).startStaking(poolId);
+            const checkPoolAfter = await stakingContract.pools(poolId);
 
             expect(checkPoolAfter.stakingStarted).to.be.true;
         });
@@ -137,7 +192,6 @@ describe("StakingContract", function () {
 
             await stakingContract.connect(owner).addPool(
                 poolName,
-                stakingToken,
                 stakeAPY,
                 stakingToken,
                 rewardingToken,
@@ -146,12 +200,18 @@ describe("StakingContract", function () {
             );
 
             // Starting staking
-            await stakingContract.connect(owner).startStaking(stakingToken);
+            await stakingContract.connect(owner).startStaking(poolId);
 
-            await stakingContract.connect(owner).pauseStaking(stakingToken);
+            await expect(stakingContract.connect(owner).setPaused(poolId, STAKE, true))
+                .to.emit(stakingContract, "PauseChanged")
+                .withArgs(poolId, STAKE, true);
 
-            const checkPoolAfter = await stakingContract.pools(stakingToken);
-            expect(checkPoolAfter.stakingStarted).to.be.false;
+            // pausing leaves the pool started
+            const checkPoolAfter = await stakingContract.pools(poolId);
+            expect(checkPoolAfter.stakingStarted).to.be.true;
+            await expect(stakingContract.connect(owner).stake(poolId, ethers.parseEther("500")))
+                .to.be.revertedWithCustomError(stakingContract, "ActionPaused")
+                .withArgs(poolId, STAKE);
         });
         it("should allow the owner to pause token claiming", async function () {
 
@@ -164,7 +224,6 @@ describe("StakingContract", function () {
 
             await stakingContract.connect(owner).addPool(
                 poolName,
-                stakingToken,
                 stakeAPY,
                 stakingToken,
                 rewardingToken,
@@ -173,17 +232,18 @@ describe("StakingContract", function () {
             );
 
             // Starting staking
-            await stakingContract.connect(owner).startStaking(stakingToken);
+            await stakingContract.connect(owner).startStaking(poolId);
 
-            await stakingContract.connect(owner).pauseClaims(stakingToken);
+            await stakingContract.connect(owner).setPaused(poolId, CLAIM, true);
 
             //User staking
             const stakingAmount = ethers.parseEther("500");
-            await stakingContract.connect(owner).stake(stakingToken, stakingAmount);
+            await stakingContract.connect(owner).stake(poolId, stakingAmount);
 
 
-            await expect(stakingContract.connect(owner).claimRewards(stakingToken))
-                .to.be.revertedWith("Claims are paused");
+            await expect(stakingContract.connect(owner).claimRewards(poolId))
+                .to.be.revertedWithCustomError(stakingContract, "ActionPaused")
+                .withArgs(poolId, CLAIM);
         });
         it("should allow the owner to resume token claiming", async function () {
 
@@ -196,7 +256,6 @@ describe("StakingContract", function () {
 
             await stakingContract.connect(owner).addPool(
                 poolName,
-                stakingToken,
                 stakeAPY,
                 stakingToken,
                 rewardingToken,
@@ -205,18 +264,20 @@ describe("StakingContract", function () {
             );
 
             // Starting staking
-            await stakingContract.connect(owner).startStaking(stakingToken);
+            await stakingContract.connect(owner).startStaking(poolId);
 
-            await stakingContract.connect(owner).pauseClaims(stakingToken);
+            await stakingContract.connect(owner).setPaused(poolId, CLAIM, true);
 
 
             //User staking
             const stakingAmount = ethers.parseEther("500");
-            await stakingContract.connect(owner).stake(stakingToken, stakingAmount);
+            await stakingContract.connect(owner).stake(poolId, stakingAmount);
 
-            await stakingContract.connect(owner).startClaims(stakingToken);
+            await stakingContract.connect(owner).setPaused(poolId, CLAIM, false);
 
-            expect(await stakingContract.claimsPaused()).to.be.false;
+            expect(await stakingContract.pausedActions(poolId, CLAIM)).to.be.false;
+            await expect(stakingContract.connect(owner).claimRewards(poolId))
+                .to.emit(stakingContract, "RewardPaid");
         });
         it("should allow the owner to pause unstaking", async function () {
 
@@ -229,7 +290,6 @@ describe("StakingContract", function () {
 
             await stakingContract.connect(owner).addPool(
                 poolName,
-                stakingToken,
                 stakeAPY,
                 stakingToken,
                 rewardingToken,
@@ -238,16 +298,17 @@ describe("StakingContract", function () {
             );
 
             // Starting staking
-            await stakingContract.connect(owner).startStaking(stakingToken);
+            await stakingContract.connect(owner).startStaking(poolId);
 
             //User staking
             const stakingAmount = ethers.parseEther("500");
-            await stakingContract.connect(owner).stake(stakingToken, stakingAmount);
+            await stakingContract.connect(owner).stake(poolId, stakingAmount);
 
-            await stakingContract.connect(owner).pauseUnstaking();
+            await stakingContract.connect(owner).setPaused(poolId, UNSTAKE, true);
 
-            await expect(stakingContract.connect(owner).unStake(stakingToken))
-                .to.be.revertedWith("Unstaking is paused");
+            await expect(stakingContract.connect(owner).unStake(poolId))
+                .to.be.revertedWithCustomError(stakingContract, "ActionPaused")
+                .withArgs(poolId, UNSTAKE);
 
         });
         it("should allow the owner to resume unstaking", async function () {
@@ -261,7 +322,6 @@ describe("StakingContract", function () {
 
             await stakingContract.connect(owner).addPool(
                 poolName,
-                stakingToken,
                 stakeAPY,
                 stakingToken,
                 rewardingToken,
@@ -270,16 +330,18 @@ describe("StakingContract", function () {
             );
 
             // Starting staking
-            await stakingContract.connect(owner).startStaking(stakingToken);
+            await stakingContract.connect(owner).startStaking(poolId);
 
             //User staking
             const stakingAmount = ethers.parseEther("500");
-            await stakingContract.connect(owner).stake(stakingToken, stakingAmount);
+            await stakingContract.connect(owner).stake(poolId, stakingAmount);
 
-            await stakingContract.connect(owner).pauseUnstaking();
-            await stakingContract.connect(owner).startUnstaking();
+            await stakingContract.connect(owner).setPaused(poolId, UNSTAKE, true);
+            await stakingContract.connect(owner).setPaused(poolId, UNSTAKE, false);
 
-            expect(await stakingContract.unstakingPaused()).to.be.false;
+            expect(await stakingContract.pausedActions(poolId, UNSTAKE)).to.be.false;
+            await expect(stakingContract.connect(owner).unStake(poolId))
+                .to.emit(stakingContract, "UnStaked");
 
         });
     });
@@ -298,7 +360,6 @@ describe("StakingContract", function () {
 
             await stakingContract.connect(owner).addPool(
                 poolName,
-                stakingToken,
                 stakeAPY,
                 stakingToken,
                 rewardingToken,
@@ -309,66 +370,65 @@ describe("StakingContract", function () {
 
         it("should allow the user to stake", async function () {
 
-            await stakingContract.connect(owner).startStaking(stakingToken);
+            await stakingContract.connect(owner).startStaking(poolId);
 
             const stakingAmount = ethers.parseEther("500");
 
-            await stakingContract.connect(owner).stake(stakingToken, stakingAmount);
+            await stakingContract.connect(owner).stake(poolId, stakingAmount);
 
-            const userStakedAmount = await stakingContract.users(owner.address, stakingToken);
+            const userStakedAmount = await stakingContract.users(owner.address, poolId);
             expect(userStakedAmount.stakedAmount).to.equal('500000000000000000000');
         });
         it("should not allow user to stake if staking not started", async function () {
 
             const stakingAmount = ethers.parseEther("500");
 
-            await expect(stakingContract.connect(owner).stake(stakingToken, stakingAmount))
+            await expect(stakingContract.connect(owner).stake(poolId, stakingAmount))
                 .to.be.revertedWithCustomError(stakingContract, "StakingNotStarted");
         });
         it("should allow the user to view staked token rewards", async function () {
 
-            await stakingContract.connect(owner).startStaking(stakingToken);
+            await stakingContract.connect(owner).startStaking(poolId);
 
             const stakingAmount = ethers.parseEther("500");
 
 
-            await stakingContract.connect(owner).stake(stakingToken, stakingAmount);
+            await stakingContract.connect(owner).stake(poolId, stakingAmount);
 
-            var rewardPerSecond = await stakingContract.calculateRewardPerSecond(owner.address, stakingToken);
-            rewardPerSecond = ethers.formatEther(rewardPerSecond).toString();
+            var rewardPerSecond = await stakingContract.calculateRewardPerSecond(owner.address, poolId);
 
             //Reward for 5 mins 
-            await ethers.provider.send('evm_increaseTime', [300]);
-            await ethers.provider.send('evm_mine');
+            await time.increase(300);
 
-            var checkReward = await stakingContract.viewRewards(owner.address, stakingToken);
-            checkReward = ethers.formatEther(checkReward).toString();
+            var checkReward = await stakingContract.viewRewards(owner.address, poolId);
 
-            var rewardEarned = (rewardPerSecond * 300).toString();
+            var rewardEarned = rewardPerSecond * 300n;
 
-            expect(checkReward).to.equal(rewardEarned);
+            // the per token accumulator rounds once per checkpoint rather than every second
+            expect(checkReward).to.be.closeTo(rewardEarned, 1000000n);
         });
         it("should not allow the user to view staked token rewards if pool does not exist", async function () {
 
-            await stakingContract.connect(owner).startStaking(stakingToken);
+            await stakingContract.connect(owner).startStaking(poolId);
 
             const stakingAmount = ethers.parseEther("500");
 
-            await stakingContract.connect(owner).stake(stakingToken, stakingAmount);
+            await stakingContract.connect(owner).stake(poolId, stakingAmount);
 
-            await expect(stakingContract.calculateRewardPerSecond(owner.address, rewardingToken))
+            await expect(stakingContract.calculateRewardPerSecond(owner.address, poolId + 1))
                 .to.be.revertedWithCustomError(stakingContract, "PoolNotExists");
         });
         it("should allow the user to claim earned reward", async function () {
 
             //Owner started staking
-            await stakingContract.connect(owner).startStaking(stakingToken);
+            await stakingContract.connect(owner).startStaking(poolId);
 
 
             //User staked
             const stakingAmount = ethers.parseEther("500");
             await stakingToken.connect(user1).approve(stakingContract.target, stakingAmount);
-            await stakingContract.connect(user1).stake(stakingToken, stakingAmount);
+            const stakeTx = await stakingContract.connect(user1).stake(poolId, stakingAmount);
+            const T1 = (await ethers.provider.getBlock(stakeTx.blockNumber)).timestamp;
 
             //Increasing the time to one day
             await ethers.provider.send('evm_increaseTime', [86400]);
@@ -377,39 +437,41 @@ describe("StakingContract", function () {
 
             const blockNum = await ethers.provider.getBlockNumber();
             const blockT = await ethers.provider.getBlock(blockNum);
-            var T2 = blockT.timestamp.toString();
+            var T2 = blockT.timestamp;
 
-            var rewardPErSecond = await stakingContract.calculateRewardPerSecond(user1.address, stakingToken);
+            var rewardPErSecond = await stakingContract.calculateRewardPerSecond(user1.address, poolId);
             rewardPErSecond = rewardPErSecond.toString();
 
-            //user claiming the tokens after one day passed
-            await stakingContract.connect(user1).claimRewards(stakingToken);
+            //user claiming the tokens one second after the mined block, whatever the wall clock does
+            await time.setNextBlockTimestamp(T2 + 1);
+            const claimTx = await stakingContract.connect(user1).claimRewards(poolId);
 
             var balanceRewardAfter = await rewardingToken.balanceOf(user1);
-            balanceRewardAfter = ethers.formatEther(balanceRewardAfter).toString();
             // console.log("balanceReward 1st Claim", balanceRewardAfter);
 
-            var userStakedAmount = await stakingContract.users(user1.address, stakingToken);
-            userStakedAmount = ethers.formatEther(userStakedAmount.reward).toString();
+            await expect(claimTx).to.emit(stakingContract, "RewardPaid")
+                .withArgs(user1.address, poolId, balanceRewardAfter);
 
-            expect(balanceRewardAfter).to.equal(userStakedAmount);
+            var userStakedAmount = await stakingContract.users(user1.address, poolId);
+            expect(userStakedAmount.reward).to.equal(0);
+            expect(balanceRewardAfter).to.be.closeTo(BigInt(rewardPErSecond) * BigInt(T2 + 1 - T1), 1000000000n);
         });
         it("should not allow the user to claim if not staked", async function () {
 
             //Owner started staking
-            await stakingContract.connect(owner).startStaking(stakingToken);
+            await stakingContract.connect(owner).startStaking(poolId);
 
             //Increasing the time to one day
             await ethers.provider.send('evm_increaseTime', [86400]);
             await ethers.provider.send('evm_mine');
 
-            await expect(stakingContract.connect(user1).claimRewards(stakingToken))
+            await expect(stakingContract.connect(user1).claimRewards(poolId))
             .to.be.revertedWithCustomError(stakingContract, "NoAmountStaked");
         });
         it("should allow the user to unstake the staked amount", async function () {
 
             //Owner started staking
-            await stakingContract.connect(owner).startStaking(stakingToken);
+            await stakingContract.connect(owner).startStaking(poolId);
 
             //User staked
             const stakingAmount = ethers.parseEther("500");
@@ -426,13 +488,13 @@ describe("StakingContract", function () {
             console.log("balanceRewardBefore", balanceRewardBefore);
 
             //user staked the amount 
-            await stakingContract.connect(user1).stake(stakingToken, stakingAmount);
+            await stakingContract.connect(user1).stake(poolId, stakingAmount);
 
             //Increasing the time to one day
             await ethers.provider.send('evm_increaseTime', [86400 * 2]);
             await ethers.provider.send('evm_mine');
 
-            await stakingContract.connect(user1).unStake(stakingToken);
+            await stakingContract.connect(user1).unStake(poolId);
 
             //balance after staking the amount 
             var balanceAfterStake = await stakingToken.balanceOf(user1);
@@ -446,10 +508,10 @@ describe("StakingContract", function () {
 
             expect(balanceBeforeStake).to.equal(balanceAfterStake);
         });
-        it.only("should deduct fee if user to unstake the staked amount before pool validity is remaining", async function () {
+        it("should deduct fee if user to unstake the staked amount before pool validity is remaining", async function () {
 
             //Owner started staking
-            await stakingContract.connect(owner).startStaking(stakingToken);
+            await stakingContract.connect(owner).startStaking(poolId);
 
             //User staked
             const stakingAmount = ethers.parseEther("500");
@@ -462,17 +524,17 @@ describe("StakingContract", function () {
             console.log("balanceBeforeStake", balanceBeforeStake);
 
             //user staked the amount 
-            await stakingContract.connect(user1).stake(stakingToken, stakingAmount);
+            await stakingContract.connect(user1).stake(poolId, stakingAmount);
 
             //unstake fee %
-            var unstakeFee = await stakingContract.UNSTAKE_FEE();
-            console.log("unstakeFee", unstakeFee.toString()); // fee percentage is 5%
+            var unstakeFee = await stakingContract.unstakeFee(poolId);
+            console.log("unstakeFee", unstakeFee.toString()); // fee is 50 basis points, 0.5%
 
             //Increasing the time to one day
             await ethers.provider.send('evm_increaseTime', [86400]);
             await ethers.provider.send('evm_mine');
 
-            await stakingContract.connect(user1).unStake(stakingToken);
+            await stakingContract.connect(user1).unStake(poolId);
 
             //balance after staking the amount 
             var balanceAfterStake = await stakingToken.balanceOf(user1);
@@ -482,4 +544,782 @@ describe("StakingContract", function () {
             expect(balanceAfterStake).to.equal(balanceBeforeStake);
         });
     })
+
+    describe("Partial unstaking", function () {
+        beforeEach(async function () {
+            const fixture = await loadFixture(DeployStakingContract);
+            stakingContract = fixture.stakingContract;
+            stakingToken = fixture.stakingToken;
+            rewardingToken = fixture.rewardingToken;
+
+            const poolName = "USDT";
+            const stakeAPY = 5;
+            const poolValidityPeriod = 86400 * 2;
+            const rewardingAllowanceAmount = ethers.parseEther("1000");
+
+            await stakingContract.connect(owner).addPool(
+                poolName,
+                stakeAPY,
+                stakingToken,
+                rewardingToken,
+                poolValidityPeriod,
+                rewardingAllowanceAmount
+            );
+            await stakingContract.connect(owner).startStaking(poolId);
+
+            const stakingAmount = ethers.parseEther("500");
+            await stakingToken.connect(user1).approve(stakingContract.target, stakingAmount);
+            await stakingContract.connect(user1).stake(poolId, stakingAmount);
+        })
+
+        it("should charge the unstake fee only on the withdrawn part", async function () {
+
+            await time.increase(86400);
+
+            const withdrawAmount = ethers.parseEther("200");
+            await expect(stakingContract.connect(user1).withdraw(poolId, withdrawAmount))
+                .to.emit(stakingContract, "UnStaked")
+                .withArgs(user1.address, poolId, withdrawAmount, ethers.parseEther("199"));
+
+            expect(await stakingToken.balanceOf(user1)).to.equal(ethers.parseEther("199"));
+            expect(await stakingToken.balanceOf(feeWallet)).to.equal(ethers.parseEther("1"));
+
+            const userAfter = await stakingContract.users(user1.address, poolId);
+            expect(userAfter.stakedAmount).to.equal(ethers.parseEther("300"));
+            expect((await stakingContract.pools(poolId)).totalStaked).to.equal(ethers.parseEther("300"));
+        });
+        it("should pay pending rewards and keep the rest of the stake earning", async function () {
+
+            await time.increase(86400);
+            await stakingContract.connect(user1).withdraw(poolId, ethers.parseEther("200"));
+
+            // rewards up to the withdrawal were paid out
+            expect(await rewardingToken.balanceOf(user1)).to.be.gt(0);
+            expect(await stakingContract.viewRewards(user1.address, poolId)).to.equal(0);
+
+            await time.increase(3600);
+
+            var rewardPerSecond = await stakingContract.calculateRewardPerSecond(user1.address, poolId);
+            expect(await stakingContract.viewRewards(user1.address, poolId))
+                .to.be.closeTo(rewardPerSecond * 3600n, 1000000n);
+        });
+        it("should allow the user to withdraw the whole stake by amount", async function () {
+
+            const stakingAmount = ethers.parseEther("500");
+            await expect(stakingContract.connect(user1).withdraw(poolId, stakingAmount))
+                .to.emit(stakingContract, "UnStaked")
+                .withArgs(user1.address, poolId, stakingAmount, ethers.parseEther("497.5"));
+
+            const userAfter = await stakingContract.users(user1.address, poolId);
+            expect(userAfter.stakedAmount).to.equal(0);
+            expect(await stakingToken.balanceOf(feeWallet)).to.equal(ethers.parseEther("2.5"));
+
+            await expect(stakingContract.connect(user1).claimRewards(poolId))
+                .to.be.revertedWithCustomError(stakingContract, "NoAmountStaked");
+        });
+        it("should not charge a fee on withdrawals after the pool validity period", async function () {
+
+            await time.increase(86400 * 3);
+
+            const withdrawAmount = ethers.parseEther("100");
+            await expect(stakingContract.connect(user1).withdraw(poolId, withdrawAmount))
+                .to.emit(stakingContract, "UnStaked")
+                .withArgs(user1.address, poolId, withdrawAmount, withdrawAmount);
+
+            expect(await stakingToken.balanceOf(user1)).to.equal(withdrawAmount);
+            expect(await stakingToken.balanceOf(feeWallet)).to.equal(0);
+        });
+        it("should not allow the user to withdraw more than the staked amount", async function () {
+
+            await expect(stakingContract.connect(user1).withdraw(poolId, ethers.parseEther("501")))
+                .to.be.revertedWithCustomError(stakingContract, "InsufficientStake");
+            await expect(stakingContract.connect(user1).withdraw(poolId, 0))
+                .to.be.revertedWithCustomError(stakingContract, "InvalidStakeAmount");
+        });
+        it("should not allow withdrawals while unstaking is paused", async function () {
+
+            await stakingContract.connect(owner).setPaused(poolId, UNSTAKE, true);
+
+            await expect(stakingContract.connect(user1).withdraw(poolId, ethers.parseEther("100")))
+                .to.be.revertedWithCustomError(stakingContract, "ActionPaused")
+                .withArgs(poolId, UNSTAKE);
+        });
+    })
+
+    describe("Emergency withdraw", function () {
+        beforeEach(async function () {
+            const fixture = await loadFixture(DeployStakingContract);
+            stakingContract = fixture.stakingContract;
+            stakingToken = fixture.stakingToken;
+            rewardingToken = fixture.rewardingToken;
+
+            // the pool is funded with a single wei of rewards, far less than it owes
+            const poolName = "USDT";
+            const stakeAPY = 5;
+            const poolValidityPeriod = 86400 * 2;
+            const rewardingAllowanceAmount = 1;
+
+            await stakingContract.connect(owner).addPool(
+                poolName,
+                stakeAPY,
+                stakingToken,
+                rewardingToken,
+                poolValidityPeriod,
+                rewardingAllowanceAmount
+            );
+            await stakingContract.connect(owner).startStaking(poolId);
+
+            const stakingAmount = ethers.parseEther("500");
+            await stakingToken.connect(user1).approve(stakingContract.target, stakingAmount);
+            await stakingContract.connect(user1).stake(poolId, stakingAmount);
+
+            await time.increase(86400);
+        })
+
+        it("should leave the principal stuck in unStake when rewards can not be paid", async function () {
+
+            await expect(stakingContract.connect(user1).claimRewards(poolId))
+                .to.be.revertedWithCustomError(stakingContract, "RewardBudgetExhausted");
+            await expect(stakingContract.connect(user1).unStake(poolId))
+                .to.be.revertedWithCustomError(stakingContract, "RewardBudgetExhausted");
+        });
+        it("should return the principal and forfeit the rewards", async function () {
+
+            const stakingAmount = ethers.parseEther("500");
+            // the 0.5% unstake fee is charged like unStake does
+            const fee = ethers.parseEther("2.5");
+            await expect(stakingContract.connect(user1).emergencyWithdraw(poolId))
+                .to.emit(stakingContract, "FeeCharged")
+                .withArgs(user1.address, poolId, stakingToken.target, fee, 0)
+                .and.to.emit(stakingContract, "EmergencyWithdraw")
+                .withArgs(user1.address, poolId, stakingAmount);
+
+            expect(await stakingToken.balanceOf(user1)).to.equal(stakingAmount - fee);
+            expect(await rewardingToken.balanceOf(user1)).to.equal(0);
+            expect(await stakingToken.balanceOf(feeWallet)).to.equal(fee);
+
+            const userAfter = await stakingContract.users(user1.address, poolId);
+            expect(userAfter.stakedAmount).to.equal(0);
+            expect(userAfter.depositTime).to.equal(0);
+            expect(userAfter.lastClaimTime).to.equal(0);
+            expect(userAfter.rewardPerTokenPaid).to.equal(0);
+            expect(userAfter.reward).to.equal(0);
+            expect(await stakingContract.viewRewards(user1.address, poolId)).to.equal(0);
+            expect((await stakingContract.pools(poolId)).totalStaked).to.equal(0);
+        });
+        it("should allow emergency withdraw while claims are paused", async function () {
+
+            await stakingContract.connect(owner).setPaused(poolId, CLAIM, true);
+
+            await stakingContract.connect(user1).emergencyWithdraw(poolId);
+
+            expect(await stakingToken.balanceOf(user1)).to.equal(ethers.parseEther("497.5"));
+        });
+        it("should not allow emergency withdraw without a stake", async function () {
+
+            await expect(stakingContract.connect(user2).emergencyWithdraw(poolId))
+                .to.be.revertedWithCustomError(stakingContract, "NoAmountStaked");
+            await expect(stakingContract.connect(user1).emergencyWithdraw(poolId + 1))
+                .to.be.revertedWithCustomError(stakingContract, "PoolNotExists");
+        });
+    })
+
+    describe("Reward funding", function () {
+        const rewardingAllowanceAmount = ethers.parseEther("1");
+
+        async function addPool(token, rewardToken) {
+            await stakingContract.connect(owner).addPool(
+                "USDT",
+                50,
+                token,
+                rewardToken,
+                86400 * 10,
+                rewardingAllowanceAmount
+            );
+            await stakingContract.connect(owner).startStaking(poolId);
+        }
+
+        beforeEach(async function () {
+            const fixture = await loadFixture(DeployStakingContract);
+            stakingContract = fixture.stakingContract;
+            stakingToken = fixture.stakingToken;
+            rewardingToken = fixture.rewardingToken;
+        })
+
+        it("should record the reward budget funded by addPool", async function () {
+
+            await addPool(stakingToken, rewardingToken);
+
+            const funding = await stakingContract.poolFunding(poolId);
+            expect(funding.rewardBudget).to.equal(rewardingAllowanceAmount);
+            expect(funding.rewardsPaid).to.equal(0);
+            expect(await stakingContract.remainingRewards(poolId)).to.equal(rewardingAllowanceAmount);
+        });
+        it("should allow the owner to top up the reward budget", async function () {
+
+            await addPool(stakingToken, rewardingToken);
+
+            const topUp = ethers.parseEther("5");
+            await rewardingToken.approve(stakingContract.target, topUp);
+            await expect(stakingContract.connect(owner).notifyRewardAmount(poolId, topUp))
+                .to.emit(stakingContract, "RewardAdded")
+                .withArgs(poolId, topUp);
+
+            expect((await stakingContract.poolFunding(poolId)).rewardBudget)
+                .to.equal(rewardingAllowanceAmount + topUp);
+            expect(await rewardingToken.balanceOf(stakingContract.target))
+                .to.equal(rewardingAllowanceAmount + topUp);
+
+            await expect(stakingContract.connect(user1).notifyRewardAmount(poolId, topUp))
+                .to.be.revertedWith(missingRole(user1, POOL_MANAGER_ROLE));
+            await expect(stakingContract.connect(owner).notifyRewardAmount(poolId + 1, topUp))
+                .to.be.revertedWithCustomError(stakingContract, "PoolNotExists");
+        });
+        it("should fail claims once the budget is exhausted and resume after a top-up", async function () {
+
+            await addPool(stakingToken, rewardingToken);
+
+            // 500 tokens at 50% APY earn about 0.68 tokens a day
+            const stakingAmount = ethers.parseEther("500");
+            await stakingToken.connect(user1).approve(stakingContract.target, stakingAmount);
+            await stakingContract.connect(user1).stake(poolId, stakingAmount);
+
+            await time.increase(86400);
+            await stakingContract.connect(user1).claimRewards(poolId);
+
+            await time.increase(86400);
+            await expect(stakingContract.connect(user1).claimRewards(poolId))
+                .to.be.revertedWithCustomError(stakingContract, "RewardBudgetExhausted");
+
+            await rewardingToken.approve(stakingContract.target, ethers.parseEther("5"));
+            await stakingContract.connect(owner).notifyRewardAmount(poolId, ethers.parseEther("5"));
+            await stakingContract.connect(user1).claimRewards(poolId);
+
+            const funding = await stakingContract.poolFunding(poolId);
+            expect(funding.rewardsPaid).to.equal(await rewardingToken.balanceOf(user1));
+        });
+        it("should not pay rewards out of staked principal when both tokens are the same", async function () {
+
+            await stakingToken.approve(stakingContract.target, rewardingAllowanceAmount);
+            await addPool(stakingToken, stakingToken);
+
+            const stakingAmount = ethers.parseEther("500");
+            await stakingToken.connect(user1).approve(stakingContract.target, stakingAmount);
+            await stakingContract.connect(user1).stake(poolId, stakingAmount);
+
+            await time.increase(86400 * 2);
+
+            // owed rewards exceed the 1 token budget, the 500 staked tokens stay untouched
+            await expect(stakingContract.connect(user1).claimRewards(poolId))
+                .to.be.revertedWithCustomError(stakingContract, "RewardBudgetExhausted");
+            expect(await stakingToken.balanceOf(stakingContract.target))
+                .to.equal(stakingAmount + rewardingAllowanceAmount);
+        });
+        it("should only recover tokens above staked principal and reserved rewards", async function () {
+
+            await stakingToken.approve(stakingContract.target, rewardingAllowanceAmount);
+            await addPool(stakingToken, stakingToken);
+
+            const stakingAmount = ethers.parseEther("100");
+            await stakingToken.connect(user1).approve(stakingContract.target, stakingAmount);
+            await stakingContract.connect(user1).stake(poolId, stakingAmount);
+
+            await expect(stakingContract.connect(owner).recoverSurplus(stakingToken, owner.address))
+                .to.be.revertedWithCustomError(stakingContract, "NoSurplus");
+
+            // tokens sent to the contract by mistake are surplus
+            const stray = ethers.parseEther("7");
+            await stakingToken.transfer(stakingContract.target, stray);
+            expect(await stakingContract.surplus(stakingToken)).to.equal(stray);
+
+            await expect(stakingContract.connect(user1).recoverSurplus(stakingToken, user1.address))
+                .to.be.revertedWith(missingRole(user1, TREASURY_ROLE));
+            await expect(stakingContract.connect(owner).recoverSurplus(stakingToken, user2.address))
+                .to.emit(stakingContract, "SurplusRecovered")
+                .withArgs(stakingToken.target, user2.address, stray);
+
+            expect(await stakingToken.balanceOf(user2)).to.equal(stray);
+            expect(await stakingToken.balanceOf(stakingContract.target))
+                .to.equal(stakingAmount + rewardingAllowanceAmount);
+        });
+        it("should release the unused budget once the pool has ended", async function () {
+
+            await addPool(stakingToken, rewardingToken);
+
+            // 50 tokens at 50% APY earn about 0.68 tokens over the 10 days
+            const stakingAmount = ethers.parseEther("50");
+            await stakingToken.connect(user1).approve(stakingContract.target, stakingAmount);
+            await stakingContract.connect(user1).stake(poolId, stakingAmount);
+
+            // the whole budget is committed while the pool runs
+            expect(await stakingContract.surplus(rewardingToken)).to.equal(0);
+
+            await time.increase(86400 * 11);
+
+            const owed = await stakingContract.owedRewards(poolId);
+            expect(owed).to.equal(await stakingContract.viewRewards(user1.address, poolId));
+            expect(await stakingContract.surplus(rewardingToken)).to.equal(rewardingAllowanceAmount - owed);
+
+            await stakingContract.connect(owner).recoverSurplus(rewardingToken, owner.address);
+
+            // the staker can still claim everything earned
+            await stakingContract.connect(user1).unStake(poolId);
+            expect(await rewardingToken.balanceOf(user1)).to.equal(owed);
+            expect(await rewardingToken.balanceOf(stakingContract.target)).to.equal(0);
+        });
+    })
+
+    describe("Lock tiers", function () {
+        const DAY = 86400;
+        const stakingAmount = ethers.parseEther("100");
+
+        beforeEach(async function () {
+            const fixture = await loadFixture(DeployStakingContract);
+            stakingContract = fixture.stakingContract;
+            stakingToken = fixture.stakingToken;
+            rewardingToken = fixture.rewardingToken;
+
+            await stakingContract.connect(owner).addPool(
+                "USDT",
+                10,
+                stakingToken,
+                rewardingToken,
+                DAY * 200,
+                ethers.parseEther("1000")
+            );
+
+            // 30/90/180 days at 1x, 1.5x and 2x with growing penalties
+            await stakingContract.connect(owner).addLockTier(poolId, DAY * 30, 10000, 100);
+            await stakingContract.connect(owner).addLockTier(poolId, DAY * 90, 15000, 500);
+            await stakingContract.connect(owner).addLockTier(poolId, DAY * 180, 20000, 1000);
+
+            await stakingContract.connect(owner).startStaking(poolId);
+
+            await stakingToken.connect(user1).approve(stakingContract.target, ethers.parseEther("500"));
+            await stakingToken.transfer(user2, ethers.parseEther("500"));
+            await stakingToken.connect(user2).approve(stakingContract.target, ethers.parseEther("500"));
+        })
+
+        it("should allow the owner to add lock tiers", async function () {
+
+            await expect(stakingContract.connect(owner).addLockTier(poolId, DAY * 365, 30000, 2000))
+                .to.emit(stakingContract, "LockTierAdded")
+                .withArgs(poolId, 4, DAY * 365, 30000, 2000);
+
+            const tiers = await stakingContract.getLockTiers(poolId);
+            expect(tiers.length).to.equal(5);
+            // tier 0 is the default flexible tier
+            expect(tiers[0].lockDuration).to.equal(0);
+            expect(tiers[0].multiplier).to.equal(10000);
+            expect(tiers[3].lockDuration).to.equal(DAY * 180);
+            expect(tiers[3].multiplier).to.equal(20000);
+        });
+        it("should reject lock tiers out of range or from non owners", async function () {
+
+            await expect(stakingContract.connect(user1).addLockTier(poolId, DAY, 10000, 0))
+                .to.be.revertedWith(missingRole(user1, POOL_MANAGER_ROLE));
+            await expect(stakingContract.connect(owner).addLockTier(poolId, DAY, 9999, 0))
+                .to.be.revertedWithCustomError(stakingContract, "InvalidLockTier");
+            await expect(stakingContract.connect(owner).addLockTier(poolId, DAY, 50001, 0))
+                .to.be.revertedWithCustomError(stakingContract, "InvalidLockTier");
+            await expect(stakingContract.connect(owner).addLockTier(poolId, DAY, 10000, 2501))
+                .to.be.revertedWithCustomError(stakingContract, "InvalidLockTier");
+            await expect(stakingContract.connect(owner).addLockTier(poolId + 1, DAY, 10000, 0))
+                .to.be.revertedWithCustomError(stakingContract, "PoolNotExists");
+            await expect(stakingContract.connect(user1).stakeLocked(poolId, stakingAmount, 4))
+                .to.be.revertedWithCustomError(stakingContract, "InvalidLockTier");
+        });
+        it("should apply the tier multiplier to rewards", async function () {
+
+            await stakingContract.connect(user1).stakeLocked(poolId, stakingAmount, 1);
+            await stakingContract.connect(user2).stakeLocked(poolId, stakingAmount, 3);
+
+            const flexibleRate = await stakingContract.calculateRewardPerSecond(user1.address, poolId);
+            const boostedRate = await stakingContract.calculateRewardPerSecond(user2.address, poolId);
+            // the rates are rounded separately
+            expect(boostedRate).to.be.closeTo(flexibleRate * 2n, 1n);
+
+            await time.increase(DAY * 10);
+
+            const flexibleReward = await stakingContract.viewRewards(user1.address, poolId);
+            const boostedReward = await stakingContract.viewRewards(user2.address, poolId);
+            // user2 staked one second later
+            expect(boostedReward).to.be.closeTo(flexibleReward * 2n, flexibleRate * 4n);
+
+            const position = await stakingContract.users(user2.address, poolId);
+            expect(position.boostedAmount).to.equal(stakingAmount * 2n);
+            expect((await stakingContract.pools(poolId)).totalBoosted).to.equal(stakingAmount * 3n);
+        });
+        it("should expose the unlock timestamp of a position", async function () {
+
+            await stakingContract.connect(user1).stakeLocked(poolId, stakingAmount, 2);
+            const stakeTime = await time.latest();
+
+            const position = await stakingContract.users(user1.address, poolId);
+            expect(position.tierId).to.equal(2);
+            expect(position.unlockTime).to.equal(stakeTime + DAY * 90);
+        });
+        it("should cap the unlock timestamp at the pool expiry", async function () {
+
+            await time.increase(DAY * 100);
+            await stakingContract.connect(user1).stakeLocked(poolId, stakingAmount, 3);
+
+            const pool = await stakingContract.pools(poolId);
+            const position = await stakingContract.users(user1.address, poolId);
+            expect(position.unlockTime).to.equal(pool.poolValidityPeriod);
+        });
+        it("should take the tier penalty when withdrawing before the unlock time", async function () {
+
+            await stakingContract.connect(user1).stakeLocked(poolId, stakingAmount, 2);
+            await time.increase(DAY * 10);
+
+            // 0.5% unstake fee plus the 5% tier penalty
+            const withdrawAmount = ethers.parseEther("40");
+            await expect(stakingContract.connect(user1).withdraw(poolId, withdrawAmount))
+                .to.emit(stakingContract, "FeeCharged")
+                .withArgs(user1.address, poolId, stakingToken.target, ethers.parseEther("0.2"), ethers.parseEther("2"))
+                .and.to.emit(stakingContract, "UnStaked")
+                .withArgs(user1.address, poolId, withdrawAmount, ethers.parseEther("37.8"));
+            expect(await stakingToken.balanceOf(feeWallet)).to.equal(ethers.parseEther("2.2"));
+
+            // the remaining stake keeps its boost
+            const position = await stakingContract.users(user1.address, poolId);
+            expect(position.boostedAmount).to.equal(ethers.parseEther("90"));
+        });
+        it("should not take the tier penalty once the position is unlocked", async function () {
+
+            await stakingContract.connect(user1).stakeLocked(poolId, stakingAmount, 1);
+            await time.increase(DAY * 31);
+
+            // only the 0.5% unstake fee is left before the pool expires
+            await expect(stakingContract.connect(user1).unStake(poolId))
+                .to.emit(stakingContract, "UnStaked")
+                .withArgs(user1.address, poolId, stakingAmount, ethers.parseEther("99.5"));
+            expect((await stakingContract.pools(poolId)).totalBoosted).to.equal(0);
+        });
+        it("should take the tier penalty on an emergency withdraw before the unlock time", async function () {
+
+            await stakingContract.connect(user1).stakeLocked(poolId, stakingAmount, 3);
+            await time.increase(DAY * 10);
+            await stakingContract.connect(user1).claimRewards(poolId);
+
+            // 0.5% unstake fee plus the 10% tier penalty, the same as unStake
+            await expect(stakingContract.connect(user1).emergencyWithdraw(poolId))
+                .to.emit(stakingContract, "FeeCharged")
+                .withArgs(user1.address, poolId, stakingToken.target, ethers.parseEther("0.5"), ethers.parseEther("10"))
+                .and.to.emit(stakingContract, "EmergencyWithdraw")
+                .withArgs(user1.address, poolId, stakingAmount);
+            expect(await stakingToken.balanceOf(feeWallet)).to.equal(ethers.parseEther("10.5"));
+            expect(await stakingToken.balanceOf(stakingContract.target)).to.equal(0);
+        });
+        it("should only take the unstake fee on an emergency withdraw once unlocked", async function () {
+
+            await stakingContract.connect(user1).stakeLocked(poolId, stakingAmount, 1);
+            await time.increase(DAY * 31);
+
+            const fee = ethers.parseEther("0.5");
+            await expect(stakingContract.connect(user1).emergencyWithdraw(poolId))
+                .to.changeTokenBalance(stakingToken, user1, stakingAmount - fee);
+            expect(await stakingToken.balanceOf(feeWallet)).to.equal(fee);
+        });
+        it("should take the unstake fee on an emergency withdraw from the flexible tier", async function () {
+
+            await stakingContract.connect(user1).stake(poolId, stakingAmount);
+            await time.increase(DAY);
+            await stakingContract.connect(user1).claimRewards(poolId);
+
+            // the same as unStake, claiming first does not skip the fee
+            const fee = ethers.parseEther("0.5");
+            const withdrawal = stakingContract.connect(user1).emergencyWithdraw(poolId);
+            await expect(withdrawal)
+                .to.emit(stakingContract, "FeeCharged")
+                .withArgs(user1.address, poolId, stakingToken.target, fee, 0);
+            await expect(withdrawal).to.changeTokenBalance(stakingToken, user1, stakingAmount - fee);
+            expect(await stakingToken.balanceOf(feeWallet)).to.equal(fee);
+        });
+        it("should keep the tier of an open position", async function () {
+
+            await stakingContract.connect(user1).stakeLocked(poolId, stakingAmount, 2);
+
+            await expect(stakingContract.connect(user1).stakeLocked(poolId, stakingAmount, 3))
+                .to.be.revertedWithCustomError(stakingContract, "TierMismatch");
+
+            // a plain stake tops up under the existing tier and relocks the position
+            await time.increase(DAY);
+            await stakingContract.connect(user1).stake(poolId, stakingAmount);
+            const topUpTime = await time.latest();
+
+            const position = await stakingContract.users(user1.address, poolId);
+            expect(position.tierId).to.equal(2);
+            expect(position.unlockTime).to.equal(topUpTime + DAY * 90);
+            expect(position.boostedAmount).to.equal(ethers.parseEther("300"));
+        });
+        it("should start a fresh position in the flexible tier with a plain stake", async function () {
+
+            await stakingContract.connect(user1).stakeLocked(poolId, stakingAmount, 3);
+            await stakingContract.connect(user1).emergencyWithdraw(poolId);
+
+            await stakingContract.connect(user1).stake(poolId, stakingAmount);
+
+            const position = await stakingContract.users(user1.address, poolId);
+            expect(position.tierId).to.equal(0);
+            expect(position.boostedAmount).to.equal(stakingAmount);
+            expect((await stakingContract.pools(poolId)).totalBoosted).to.equal(stakingAmount);
+        });
+    })
+
+    describe("Unstake fees", function () {
+        const DAY = 86400;
+        const stakingAmount = ethers.parseEther("500");
+
+        beforeEach(async function () {
+            const fixture = await loadFixture(DeployStakingContract);
+            stakingContract = fixture.stakingContract;
+            stakingToken = fixture.stakingToken;
+            rewardingToken = fixture.rewardingToken;
+
+            await stakingContract.connect(owner).addPool(
+                "USDT",
+                5,
+                stakingToken,
+                rewardingToken,
+                DAY * 100,
+                ethers.parseEther("1000")
+            );
+        })
+
+        async function startAndStake() {
+            await stakingContract.connect(owner).startStaking(poolId);
+            await stakingToken.connect(user1).approve(stakingContract.target, stakingAmount);
+            await stakingContract.connect(user1).stake(poolId, stakingAmount);
+        }
+
+        it("should start every pool with the default fee of 50 basis points", async function () {
+
+            const config = await stakingContract.poolFees(poolId);
+            expect(config.feeBps).to.equal(50);
+            expect(config.decay).to.equal(false);
+            expect(await stakingContract.unstakeFee(poolId)).to.equal(50);
+        });
+        it("should allow the pool manager to set the pool fee up to the maximum", async function () {
+
+            await expect(applyChange(stakingContract, owner, "scheduleFeeUpdate", [poolId, 200, true]))
+                .to.emit(stakingContract, "PoolFeeUpdated")
+                .withArgs(poolId, 200, true);
+
+            const maxFee = await stakingContract.MAX_UNSTAKE_FEE();
+            await expect(stakingContract.connect(owner).scheduleFeeUpdate(poolId, maxFee + 1n, false))
+                .to.be.revertedWithCustomError(stakingContract, "InvalidFee");
+            await expect(stakingContract.connect(owner).scheduleFeeUpdate(poolId + 1, 100, false))
+                .to.be.revertedWithCustomError(stakingContract, "PoolNotExists");
+            await expect(stakingContract.connect(user1).scheduleFeeUpdate(poolId, 100, false))
+                .to.be.revertedWith(missingRole(user1, POOL_MANAGER_ROLE));
+        });
+        it("should charge the configured fee and emit FeeCharged", async function () {
+
+            await applyChange(stakingContract, owner, "scheduleFeeUpdate", [poolId, 200, false]);
+            await startAndStake();
+            await time.increase(DAY);
+
+            // 2% of 100 tokens
+            const withdrawAmount = ethers.parseEther("100");
+            await expect(stakingContract.connect(user1).withdraw(poolId, withdrawAmount))
+                .to.emit(stakingContract, "FeeCharged")
+                .withArgs(user1.address, poolId, stakingToken.target, ethers.parseEther("2"), 0)
+                .and.to.emit(stakingContract, "UnStaked")
+                .withArgs(user1.address, poolId, withdrawAmount, ethers.parseEther("98"));
+            expect(await stakingToken.balanceOf(feeWallet)).to.equal(ethers.parseEther("2"));
+        });
+        it("should not charge a fee or emit FeeCharged when the fee is zero", async function () {
+
+            await applyChange(stakingContract, owner, "scheduleFeeUpdate", [poolId, 0, false]);
+            await startAndStake();
+
+            await expect(stakingContract.connect(user1).unStake(poolId))
+                .to.not.emit(stakingContract, "FeeCharged");
+            expect(await stakingToken.balanceOf(user1)).to.equal(stakingAmount);
+        });
+        it("should decay the fee linearly toward the pool expiry", async function () {
+
+            await applyChange(stakingContract, owner, "scheduleFeeUpdate", [poolId, 1000, true]);
+            await startAndStake();
+
+            const pool = await stakingContract.pools(poolId);
+            const halfway = (pool.stakingStartTime + pool.poolValidityPeriod) / 2n;
+            await time.increaseTo(halfway);
+            expect(await stakingContract.unstakeFee(poolId)).to.equal(500);
+
+            // 10% halfway through is just under 5% one second later
+            await time.setNextBlockTimestamp(halfway + 1n);
+            const withdrawAmount = ethers.parseEther("100");
+            // the decayed fee is rounded down to whole basis points
+            const feeBps = (1000n * (pool.poolValidityPeriod - halfway - 1n)) /
+                (pool.poolValidityPeriod - pool.stakingStartTime);
+            const expectedFee = (withdrawAmount * feeBps) / 10000n;
+            await expect(stakingContract.connect(user1).withdraw(poolId, withdrawAmount))
+                .to.emit(stakingContract, "FeeCharged")
+                .withArgs(user1.address, poolId, stakingToken.target, expectedFee, 0);
+
+            await time.increaseTo(pool.poolValidityPeriod);
+            expect(await stakingContract.unstakeFee(poolId)).to.equal(0);
+        });
+        it("should hold fees in the contract while no fee wallet is set", async function () {
+
+            await applyChange(stakingContract, owner, "scheduleFeeWalletUpdate", [ethers.ZeroAddress]);
+            await startAndStake();
+
+            await stakingContract.connect(user1).unStake(poolId);
+
+            const fee = ethers.parseEther("2.5");
+            expect(await stakingContract.accruedFees(stakingToken)).to.equal(fee);
+            expect(await stakingToken.balanceOf(stakingContract.target)).to.equal(fee);
+            // held fees are not surplus
+            expect(await stakingContract.surplus(stakingToken)).to.equal(0);
+        });
+        it("should allow the owner to sweep held fees", async function () {
+
+            await applyChange(stakingContract, owner, "scheduleFeeWalletUpdate", [ethers.ZeroAddress]);
+            await startAndStake();
+            await stakingContract.connect(user1).unStake(poolId);
+
+            const fee = ethers.parseEther("2.5");
+            await expect(stakingContract.connect(user1).sweepFees(stakingToken, user1))
+                .to.be.revertedWith(missingRole(user1, TREASURY_ROLE));
+            await expect(stakingContract.connect(owner).sweepFees(stakingToken, feeWallet))
+                .to.emit(stakingContract, "FeesSwept")
+                .withArgs(stakingToken.target, feeWallet.address, fee);
+
+            expect(await stakingToken.balanceOf(feeWallet)).to.equal(fee);
+            expect(await stakingContract.accruedFees(stakingToken)).to.equal(0);
+            await expect(stakingContract.connect(owner).sweepFees(stakingToken, feeWallet))
+                .to.be.revertedWithCustomError(stakingContract, "NoFeesAccrued");
+        });
+    })
+
+    describe("Compounding", function () {
+        const DAY = 86400;
+        const stakingAmount = ethers.parseEther("100");
+
+        beforeEach(async function () {
+            const fixture = await loadFixture(DeployStakingContract);
+            stakingContract = fixture.stakingContract;
+            stakingToken = fixture.stakingToken;
+            rewardingToken = fixture.rewardingToken;
+
+            // rewards are paid in the staking token
+            await stakingToken.connect(owner).approve(stakingContract.target, ethers.parseEther("1000"));
+            await stakingContract.connect(owner).addPool(
+                "STK",
+                50,
+                stakingToken,
+                stakingToken,
+                DAY * 100,
+                ethers.parseEther("1000")
+            );
+            await stakingContract.connect(owner).startStaking(poolId);
+
+            await stakingToken.transfer(user2, ethers.parseEther("100"));
+            await stakingToken.connect(user1).approve(stakingContract.target, stakingAmount);
+            await stakingToken.connect(user2).approve(stakingContract.target, stakingAmount);
+            await stakingContract.connect(user1).stake(poolId, stakingAmount);
+            await stakingContract.connect(user2).stake(poolId, stakingAmount);
+        })
+
+        it("should add the pending rewards to the stake", async function () {
+
+            await time.increase(DAY * 10);
+            const depositTime = (await stakingContract.users(user1.address, poolId)).depositTime;
+
+            const tx = await stakingContract.connect(user1).compound(poolId);
+            const reward = (await stakingContract.users(user1.address, poolId)).stakedAmount - stakingAmount;
+            await expect(tx).to.emit(stakingContract, "Compounded")
+                .withArgs(user1.address, poolId, reward);
+            expect(reward).to.be.gt(0);
+
+            const position = await stakingContract.users(user1.address, poolId);
+            expect(position.reward).to.equal(0);
+            expect(position.depositTime).to.equal(depositTime);
+            expect(await stakingContract.viewRewards(user1.address, poolId)).to.equal(0);
+            expect((await stakingContract.pools(poolId)).totalStaked).to.equal(stakingAmount * 2n + reward);
+        });
+        it("should keep the reward accounting consistent", async function () {
+
+            await time.increase(DAY * 10);
+            await stakingContract.connect(user1).compound(poolId);
+            const compounded = (await stakingContract.users(user1.address, poolId)).stakedAmount - stakingAmount;
+
+            const funding = await stakingContract.poolFunding(poolId);
+            expect(funding.rewardsPaid).to.equal(compounded);
+            expect(await stakingContract.remainingRewards(poolId))
+                .to.equal(ethers.parseEther("1000") - compounded);
+            // principal, compounded rewards and the remaining budget are all reserved
+            expect(await stakingContract.surplus(stakingToken)).to.equal(0);
+
+            // the compounded rewards earn rewards too
+            const rateBefore = await stakingContract.calculateRewardPerSecond(user2.address, poolId);
+            const rateAfter = await stakingContract.calculateRewardPerSecond(user1.address, poolId);
+            expect(rateAfter).to.be.gt(rateBefore);
+
+            // and leave the contract like any other stake
+            await time.increase(DAY * 100);
+            await stakingContract.connect(user1).unStake(poolId);
+            expect(await stakingToken.balanceOf(user1))
+                .to.be.gte(ethers.parseEther("400") + compounded);
+        });
+        it("should revert on pools paying rewards in another token", async function () {
+
+            await stakingContract.connect(owner).addPool(
+                "RWT",
+                50,
+                stakingToken,
+                rewardingToken,
+                DAY * 100,
+                ethers.parseEther("1000")
+            );
+            await stakingContract.connect(owner).startStaking(poolId + 1);
+
+            await expect(stakingContract.connect(user1).compound(poolId + 1))
+                .to.be.revertedWithCustomError(stakingContract, "NotCompoundable");
+            await expect(stakingContract.connect(owner).compoundFor(poolId + 1, [user1.address]))
+                .to.be.revertedWithCustomError(stakingContract, "NotCompoundable");
+        });
+        it("should revert without a stake or once the pool has ended", async function () {
+
+            await expect(stakingContract.connect(feeWallet).compound(poolId))
+                .to.be.revertedWithCustomError(stakingContract, "NoAmountStaked");
+
+            await time.increase(DAY * 100);
+            await expect(stakingContract.connect(user1).compound(poolId))
+                .to.be.revertedWithCustomError(stakingContract, "PoolEnded");
+        });
+        it("should allow the owner to compound for a list of users", async function () {
+
+            await time.increase(DAY * 10);
+
+            await expect(stakingContract.connect(user1).compoundFor(poolId, [user1.address]))
+                .to.be.revertedWith(missingRole(user1, POOL_MANAGER_ROLE));
+
+            // users without a stake are skipped
+            const tx = await stakingContract.connect(owner)
+                .compoundFor(poolId, [user1.address, user2.address, feeWallet.address]);
+            await expect(tx).to.emit(stakingContract, "Compounded")
+                .withArgs(user1.address, poolId, anyValue);
+            await expect(tx).to.emit(stakingContract, "Compounded")
+                .withArgs(user2.address, poolId, anyValue);
+
+            for (const user of [user1, user2]) {
+                const position = await stakingContract.users(user.address, poolId);
+                expect(position.stakedAmount).to.be.gt(stakingAmount);
+                expect(position.reward).to.equal(0);
+            }
+            expect((await stakingContract.users(feeWallet.address, poolId)).stakedAmount).to.equal(0);
+        });
+        it("should not compound while claims are paused", async function () {
+
+            await stakingContract.connect(owner).setPaused(poolId, CLAIM, true);
+            await expect(stakingContract.connect(user1).compound(poolId))
+                .to.be.revertedWithCustomError(stakingContract, "ActionPaused")
+                .withArgs(poolId, CLAIM);
+        });
+    })
 });
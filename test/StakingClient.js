@@ -0,0 +1,296 @@
+const {
+    time,
+    loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { artifacts, ethers } = require("hardhat");
+const { StakingClient, errors } = require("../sdk");
+const SHIPPED_ABI = require("../sdk/abi/StakingContract.json");
+const { NATIVE_TOKEN } = require("../scripts/lib/tokens");
+const { DAY, CLAIM, deployStakingContract, addPool } = require("./shared/fixtures");
+
+// Resolves with the first event passed to the listener, fails after timeout ms
+function nextEvent(timeout = 5000) {
+    let resolve;
+    const received = new Promise((res) => (resolve = res));
+    const timer = new Promise((_, reject) =>
+        setTimeout(() => reject(new Error("no event received")), timeout).unref()
+    );
+    return { listener: resolve, event: Promise.race([received, timer]) };
+}
+
+describe("StakingClient", function () {
+    const poolId = 0;
+
+    async function DeployStakingClient() {
+        const [admin, user1, user2] = await ethers.getSigners();
+
+        const stakingContract = await deployStakingContract();
+        // 6 decimals to catch amounts scaled by 18 by mistake
+        const stakingToken = await ethers.deployContract("DecimalsToken", ["USD Coin", "USDC", 6]);
+        const rewardingToken = await ethers.deployContract("RewardToken");
+
+        await addPool(stakingContract, { name: "USDC", stakingToken, rewardToken: rewardingToken, start: false });
+        await stakingContract.addLockTier(poolId, DAY * 30, 20000, 500);
+        await stakingContract.startStaking(poolId);
+
+        await stakingToken.transfer(user1, ethers.parseUnits("1000", 6));
+        await stakingToken.transfer(user2, ethers.parseUnits("1000", 6));
+
+        const client = new StakingClient(stakingContract.target, user1);
+
+        return { stakingContract, stakingToken, rewardingToken, client, admin, user1, user2 };
+    }
+
+    describe("ABI", function () {
+        it("should ship the ABI of the compiled contract", async function () {
+            const { abi } = await artifacts.readArtifact("StakingContract");
+
+            // refresh with npx hardhat run scripts/export-abi.js
+            expect(SHIPPED_ABI).to.deep.equal(abi);
+        });
+    });
+
+    describe("Transactions", function () {
+        it("should approve and stake an amount given in whole tokens", async function () {
+            const { stakingContract, stakingToken, client, user1 } = await loadFixture(DeployStakingClient);
+
+            expect(await stakingToken.allowance(user1, stakingContract.target)).to.equal(0);
+            const receipt = await client.stake(poolId, "100.5");
+
+            expect(receipt.status).to.equal(1);
+            const position = await stakingContract.users(user1.address, poolId);
+            expect(position.stakedAmount).to.equal(ethers.parseUnits("100.5", 6));
+            expect(position.tierId).to.equal(0);
+            expect(await stakingToken.balanceOf(user1)).to.equal(ethers.parseUnits("899.5", 6));
+        });
+        it("should reuse an existing allowance", async function () {
+            const { stakingContract, stakingToken, client, user1 } = await loadFixture(DeployStakingClient);
+
+            await stakingToken.connect(user1).approve(stakingContract.target, ethers.parseUnits("500", 6));
+            await client.stake(poolId, 100);
+
+            // a fresh approval would have left nothing over
+            expect(await stakingToken.allowance(user1, stakingContract.target)).to.equal(ethers.parseUnits("400", 6));
+        });
+        it("should take bigint amounts as base units", async function () {
+            const { stakingContract, client, user1 } = await loadFixture(DeployStakingClient);
+
+            await client.stake(poolId, 1234n);
+            expect((await stakingContract.users(user1.address, poolId)).stakedAmount).to.equal(1234n);
+        });
+        it("should stake into a lock tier", async function () {
+            const { stakingContract, client, user1 } = await loadFixture(DeployStakingClient);
+
+            await client.stake(poolId, "200", { tierId: 1 });
+
+            const position = await stakingContract.users(user1.address, poolId);
+            expect(position.tierId).to.equal(1);
+            expect(position.boostedAmount).to.equal(ethers.parseUnits("400", 6));
+        });
+        it("should stake ETH as value without an approval", async function () {
+            const { stakingContract, rewardingToken, client, user1 } = await loadFixture(DeployStakingClient);
+
+            await rewardingToken.approve(stakingContract.target, ethers.parseEther("100"));
+            await stakingContract.addPool("ETH", 10, NATIVE_TOKEN, rewardingToken, DAY * 100, ethers.parseEther("100"));
+            await stakingContract.startStaking(1);
+
+            await client.stake(1, "1.5");
+
+            expect(await ethers.provider.getBalance(stakingContract.target)).to.equal(ethers.parseEther("1.5"));
+            expect((await stakingContract.users(user1.address, 1)).stakedAmount).to.equal(ethers.parseEther("1.5"));
+            expect((await client.position(1)).formatted.stakedAmount).to.equal("1.5");
+            expect(await client.token(NATIVE_TOKEN)).to.deep.equal({ address: NATIVE_TOKEN, decimals: 18, symbol: "ETH" });
+        });
+        it("should leave approvals to the caller when auto approve is off", async function () {
+            const { stakingContract, user1 } = await loadFixture(DeployStakingClient);
+
+            const client = new StakingClient(stakingContract.target, user1, { autoApprove: false });
+            const error = await client.stake(poolId, "1").catch((e) => e);
+
+            expect(error).to.be.instanceOf(errors.StakingError);
+            expect(error.code).to.equal("Error");
+            expect(error.message).to.equal("ERC20: insufficient allowance");
+        });
+        it("should claim, withdraw and unstake", async function () {
+            const { stakingContract, stakingToken, rewardingToken, client, user1 } =
+                await loadFixture(DeployStakingClient);
+
+            await client.stake(poolId, "500");
+            await time.increase(DAY * 10);
+
+            await client.claim(poolId);
+            expect(await rewardingToken.balanceOf(user1)).to.be.gt(0);
+
+            await client.withdraw(poolId, "200");
+            expect((await stakingContract.users(user1.address, poolId)).stakedAmount)
+                .to.equal(ethers.parseUnits("300", 6));
+
+            await client.unstake(poolId);
+            expect((await stakingContract.users(user1.address, poolId)).stakedAmount).to.equal(0);
+            // 0.5% unstake fee on both withdrawals
+            expect(await stakingToken.balanceOf(user1)).to.equal(ethers.parseUnits("997.5", 6));
+        });
+    });
+
+    describe("Reads", function () {
+        it("should format a position with the decimals of each token", async function () {
+            const { stakingContract, client, user1, user2 } = await loadFixture(DeployStakingClient);
+
+            await client.stake(poolId, "250.25");
+            await time.increase(DAY * 10);
+
+            const position = await client.position(poolId);
+            expect(position.stakedAmount).to.equal(ethers.parseUnits("250.25", 6));
+            expect(position.formatted.stakedAmount).to.equal("250.25");
+            expect(position.pendingRewards).to.equal(await stakingContract.viewRewards(user1.address, poolId));
+            expect(position.formatted.pendingRewards).to.equal(ethers.formatUnits(position.pendingRewards, 18));
+
+            const other = await client.position(poolId, user2.address);
+            expect(other.formatted.stakedAmount).to.equal("0.0");
+        });
+        it("should read pools and token details", async function () {
+            const { stakingToken, client } = await loadFixture(DeployStakingClient);
+
+            const pool = await client.pool(poolId);
+            expect(pool.poolName).to.equal("USDC");
+            expect(pool.stakingToken).to.equal(stakingToken.target);
+
+            expect(await client.token(stakingToken.target))
+                .to.deep.equal({ address: stakingToken.target, decimals: 6, symbol: "USDC" });
+            expect(await client.parseAmount(stakingToken.target, "1.5")).to.equal(1500000n);
+            expect(await client.formatAmount(stakingToken.target, 1500000n)).to.equal("1.5");
+        });
+        it("should work from a provider for reads only", async function () {
+            const { stakingContract, client, user1 } = await loadFixture(DeployStakingClient);
+
+            await client.stake(poolId, "10");
+            const reader = new StakingClient(stakingContract.target, ethers.provider);
+
+            expect((await reader.position(poolId, user1.address)).formatted.stakedAmount).to.equal("10.0");
+            await expect(reader.position(poolId))
+                .to.be.rejectedWith(TypeError, "position needs an account when the client reads through a provider");
+        });
+    });
+
+    describe("Errors", function () {
+        it("should throw a typed error for every custom error of the contract", async function () {
+            const { stakingContract } = await loadFixture(DeployStakingClient);
+
+            stakingContract.interface.forEachError((fragment) => {
+                const ErrorClass = errors[`${fragment.name}Error`];
+                expect(ErrorClass, fragment.name).to.not.equal(undefined);
+                expect(new ErrorClass("message")).to.be.instanceOf(errors.StakingError);
+            });
+        });
+        it("should decode reverts into typed errors", async function () {
+            const { client } = await loadFixture(DeployStakingClient);
+
+            let error = await client.unstake(poolId).catch((e) => e);
+            expect(error).to.be.instanceOf(errors.NoAmountStakedError);
+            expect(error).to.be.instanceOf(errors.StakingError);
+            expect(error.name).to.equal("NoAmountStakedError");
+            expect(error.code).to.equal("NoAmountStaked");
+            expect(error.message).to.equal("Nothing is staked in this pool");
+            expect(error.cause).to.not.equal(undefined);
+
+            error = await client.stake(poolId, "0").catch((e) => e);
+            expect(error).to.be.instanceOf(errors.InvalidStakeAmountError);
+
+            error = await client.pool(7).catch((e) => e);
+            expect(error).to.be.instanceOf(errors.PoolNotExistsError);
+
+            await time.increase(DAY * 100);
+            error = await client.stake(poolId, "1").catch((e) => e);
+            expect(error).to.be.instanceOf(errors.PoolEndedError);
+        });
+        it("should keep the arguments of custom errors", async function () {
+            const { stakingContract, client } = await loadFixture(DeployStakingClient);
+
+            await client.stake(poolId, "10");
+            await stakingContract.setPaused(poolId, CLAIM, true);
+
+            const error = await client.claim(poolId).catch((e) => e);
+            expect(error).to.be.instanceOf(errors.ActionPausedError);
+            expect(error.args).to.deep.equal([BigInt(poolId), BigInt(CLAIM)]);
+        });
+    });
+
+    describe("Events", function () {
+        it("should deliver staking events with formatted amounts", async function () {
+            const { client, user1 } = await loadFixture(DeployStakingClient);
+
+            const { listener, event } = nextEvent();
+            const unsubscribe = await client.subscribe("Staked", listener, { poolId, onError: listener });
+            try {
+                await client.stake(poolId, "42.5");
+                const staked = await event;
+
+                expect(staked.name).to.equal("Staked");
+                expect(staked.user).to.equal(user1.address);
+                expect(staked.poolId).to.equal(poolId);
+                expect(staked.amount).to.equal(ethers.parseUnits("42.5", 6));
+                expect(staked.formatted.amount).to.equal("42.5");
+                expect(staked.log.transactionHash).to.be.a("string");
+            } finally {
+                await unsubscribe();
+            }
+        });
+        it("should filter events by user and format unstake and reward amounts", async function () {
+            const { stakingContract, client, user1, user2 } = await loadFixture(DeployStakingClient);
+
+            const otherClient = new StakingClient(stakingContract.target, user2);
+            await client.stake(poolId, "100");
+            await otherClient.stake(poolId, "100");
+            await time.increase(DAY * 10);
+
+            const unstaked = nextEvent();
+            const paid = nextEvent();
+            const stops = [
+                await client.subscribe("UnStaked", unstaked.listener, { user: user2.address, onError: unstaked.listener }),
+                await client.subscribe("RewardPaid", paid.listener, { user: user2.address, onError: paid.listener }),
+            ];
+            try {
+                // only the second unstake matches the filter
+                await client.unstake(poolId);
+                await otherClient.unstake(poolId);
+
+                const unstakedEvent = await unstaked.event;
+                expect(unstakedEvent.user).to.equal(user2.address);
+                expect(unstakedEvent.formatted.amount).to.equal("100.0");
+                expect(unstakedEvent.formatted.netAmount).to.equal("99.5");
+
+                const paidEvent = await paid.event;
+                expect(paidEvent.user).to.equal(user2.address);
+                expect(paidEvent.formatted.amount).to.equal(ethers.formatUnits(paidEvent.amount, 18));
+            } finally {
+                for (const stop of stops) {
+                    await stop();
+                }
+            }
+        });
+        it("should reject events it does not know", async function () {
+            const { client } = await loadFixture(DeployStakingClient);
+
+            await expect(client.subscribe("PoolAdded", () => {}, { onError: () => {} }))
+                .to.be.rejectedWith("Unknown event PoolAdded");
+        });
+        it("should require an error handler and hand it listener errors", async function () {
+            const { client } = await loadFixture(DeployStakingClient);
+
+            await expect(client.subscribe("Staked", () => {}))
+                .to.be.rejectedWith("subscribe needs an onError function");
+
+            const { listener, event } = nextEvent();
+            const unsubscribe = await client.subscribe("Staked", () => {
+                throw new Error("listener failed");
+            }, { onError: listener });
+            try {
+                await client.stake(poolId, "1");
+                expect((await event).message).to.equal("listener failed");
+            } finally {
+                await unsubscribe();
+            }
+        });
+    });
+});
@@ -0,0 +1,193 @@
+const {
+    time,
+    loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { DAY, CLAIM, deployStakingContract, addPool, fundAccounts } = require("./shared/fixtures");
+
+const SEC_IN_YEAR = 365n * 86400n;
+
+describe("StakingLens", function () {
+    // pool 0 is well funded and has a locked tier, pool 1 runs short of
+    // rewards and pool 2 is never started
+    const poolId = 0;
+    const shortPoolId = 1;
+    const idlePoolId = 2;
+
+    async function DeployStakingLens() {
+        const [admin, user1, user2, user3] = await ethers.getSigners();
+
+        const stakingContract = await deployStakingContract();
+        const stakingLens = await ethers.deployContract("StakingLens", [stakingContract.target]);
+        const stakingToken = await ethers.deployContract("StakingToken");
+        const rewardingToken = await ethers.deployContract("RewardToken");
+
+        const tokens = { stakingToken, rewardToken: rewardingToken, start: false };
+        await addPool(stakingContract, { ...tokens, name: "Funded" });
+        await addPool(stakingContract, { ...tokens, name: "Short", apy: 20, budget: ethers.parseEther("10") });
+        await addPool(stakingContract, { ...tokens, name: "Idle", apy: 5, validity: DAY * 30, budget: ethers.parseEther("1") });
+        await stakingContract.addLockTier(poolId, DAY * 30, 20000, 500);
+        await stakingContract.startStaking(poolId);
+        await stakingContract.startStaking(shortPoolId);
+
+        await fundAccounts(stakingContract, stakingToken, [user1, user2], ethers.parseEther("1000"));
+        await stakingContract.connect(user1).stake(poolId, ethers.parseEther("200"));
+        await stakingContract.connect(user1).stake(shortPoolId, ethers.parseEther("500"));
+        await stakingContract.connect(user2).stakeLocked(poolId, ethers.parseEther("300"), 1);
+
+        await time.increase(DAY * 5);
+
+        return { stakingContract, stakingLens, stakingToken, rewardingToken, admin, user1, user2, user3 };
+    }
+
+    describe("getPoolOverviews", function () {
+        it("should list every pool with its state and time remaining", async function () {
+            const { stakingContract, stakingLens } = await loadFixture(DeployStakingLens);
+
+            const overviews = await stakingLens.getPoolOverviews();
+            const pools = await stakingContract.getPools();
+            expect(overviews.length).to.equal(await stakingContract.poolCount());
+
+            for (let id = 0; id < pools.length; id++) {
+                expect(overviews[id].poolId).to.equal(id);
+                expect(overviews[id].pool).to.deep.equal(pools[id]);
+                expect(overviews[id].state).to.deep.equal(await stakingContract.getPoolState(id));
+                expect(overviews[id].timeRemaining).to.equal(await stakingLens.timeRemaining(id));
+            }
+            expect(overviews[poolId].pool.totalStaked).to.equal(ethers.parseEther("500"));
+            expect(overviews[idlePoolId].state.canStake).to.equal(false);
+        });
+        it("should count down the time remaining from the pool start", async function () {
+            const { stakingContract, stakingLens } = await loadFixture(DeployStakingLens);
+
+            const { poolValidityPeriod } = await stakingContract.pools(poolId);
+            expect(await stakingLens.timeRemaining(poolId))
+                .to.equal(poolValidityPeriod - BigInt(await time.latest()));
+            // not started yet, the whole validity period is left
+            expect(await stakingLens.timeRemaining(idlePoolId)).to.equal(DAY * 30);
+
+            await time.increase(DAY * 100);
+            expect(await stakingLens.timeRemaining(poolId)).to.equal(0);
+            await expect(stakingLens.timeRemaining(5))
+                .to.be.revertedWithCustomError(stakingContract, "PoolNotExists");
+        });
+    });
+
+    describe("getUserPositions", function () {
+        it("should return the positions of the user matching the raw getters", async function () {
+            const { stakingContract, stakingLens, user1 } = await loadFixture(DeployStakingLens);
+
+            const positions = await stakingLens.getUserPositions(user1);
+            expect(positions.map((position) => position.poolId)).to.deep.equal([poolId, shortPoolId]);
+
+            for (const position of positions) {
+                const account = await stakingContract.users(user1.address, position.poolId);
+                expect(position.stakedAmount).to.equal(account.stakedAmount);
+                expect(position.depositTime).to.equal(account.depositTime);
+                expect(position.tierId).to.equal(account.tierId);
+                expect(position.unlockTime).to.equal(account.unlockTime);
+                expect(position.pendingRewards).to.equal(await stakingContract.viewRewards(user1.address, position.poolId));
+                expect(position.pendingRewards).to.be.gt(0);
+                expect(position.exitFee)
+                    .to.equal(account.stakedAmount * (await stakingContract.unstakeFee(position.poolId)) / 10000n);
+            }
+        });
+        it("should add the tier penalty to the exit fee until the unlock time", async function () {
+            const { stakingContract, stakingLens, user2 } = await loadFixture(DeployStakingLens);
+
+            let [position] = await stakingLens.getUserPositions(user2);
+            const staked = ethers.parseEther("300");
+            // 0.5% unstake fee and 5% tier penalty
+            expect(position.exitFee).to.equal(staked * 50n / 10000n + staked * 500n / 10000n);
+
+            await time.increaseTo(position.unlockTime);
+            [position] = await stakingLens.getUserPositions(user2);
+            expect(position.exitFee).to.equal(staked * 50n / 10000n);
+
+            // the exit fee matches what unstaking actually takes
+            await time.increase(DAY * 70);
+            [position] = await stakingLens.getUserPositions(user2);
+            await expect(stakingContract.connect(user2).unStake(poolId))
+                .to.emit(stakingContract, "UnStaked")
+                .withArgs(user2.address, poolId, staked, staked - position.exitFee);
+        });
+        it("should keep a position with unclaimed rewards after the stake is gone", async function () {
+            const { stakingContract, stakingLens, user1 } = await loadFixture(DeployStakingLens);
+
+            await stakingContract.setPaused(poolId, CLAIM, true);
+            await stakingContract.connect(user1).unStake(poolId);
+
+            const [position] = await stakingLens.getUserPositions(user1);
+            expect(position.poolId).to.equal(poolId);
+            expect(position.stakedAmount).to.equal(0);
+            expect(position.exitFee).to.equal(0);
+            expect(position.pendingRewards).to.equal((await stakingContract.users(user1.address, poolId)).reward);
+
+            await stakingContract.setPaused(poolId, CLAIM, false);
+            await stakingContract.connect(user1).claimRewards(poolId);
+            expect((await stakingLens.getUserPositions(user1)).map((p) => p.poolId)).to.deep.equal([shortPoolId]);
+        });
+        it("should return no positions for a user who never staked", async function () {
+            const { stakingLens, user3 } = await loadFixture(DeployStakingLens);
+
+            expect(await stakingLens.getUserPositions(user3)).to.deep.equal([]);
+        });
+    });
+
+    describe("getPoolStats", function () {
+        it("should report the stats of a funded pool from the raw getters", async function () {
+            const { stakingContract, stakingLens } = await loadFixture(DeployStakingLens);
+
+            const stats = await stakingLens.getPoolStats(poolId);
+            const pool = await stakingContract.pools(poolId);
+
+            expect(stats.totalStaked).to.equal(pool.totalStaked);
+            expect(stats.remainingRewards).to.equal(await stakingContract.remainingRewards(poolId));
+            expect(stats.owedRewards).to.equal(await stakingContract.owedRewards(poolId));
+            // 200 at 1x and 300 at 2x earn 10% on 800 of 500 staked
+            expect(pool.totalBoosted).to.equal(ethers.parseEther("800"));
+            expect(stats.effectiveAPR).to.equal(1600);
+            expect(stats.rewardRate).to.equal(pool.totalBoosted * 10n / (100n * SEC_IN_YEAR));
+            // the budget outlasts the pool
+            expect(stats.rewardRunway).to.equal(await stakingLens.timeRemaining(poolId));
+        });
+        it("should report a runway shorter than the pool when rewards run out", async function () {
+            const { stakingContract, stakingLens, rewardingToken } = await loadFixture(DeployStakingLens);
+
+            const stats = await stakingLens.getPoolStats(shortPoolId);
+            const pool = await stakingContract.pools(shortPoolId);
+
+            const available = stats.remainingRewards - stats.owedRewards;
+            const runway = available * 100n * SEC_IN_YEAR / (pool.totalBoosted * pool.stakeAPY);
+            expect(stats.effectiveAPR).to.equal(2000);
+            expect(stats.rewardRunway).to.equal(runway);
+            expect(stats.rewardRunway).to.be.lt(await stakingLens.timeRemaining(shortPoolId));
+
+            // a top-up covering the rest of the pool extends the runway to its end
+            await rewardingToken.approve(stakingContract.target, ethers.parseEther("20"));
+            await stakingContract.notifyRewardAmount(shortPoolId, ethers.parseEther("20"));
+            expect((await stakingLens.getPoolStats(shortPoolId)).rewardRunway)
+                .to.equal(await stakingLens.timeRemaining(shortPoolId));
+        });
+        it("should report the plain APY of an empty pool and nothing once it has ended", async function () {
+            const { stakingContract, stakingLens, user1 } = await loadFixture(DeployStakingLens);
+
+            let stats = await stakingLens.getPoolStats(idlePoolId);
+            expect(stats.totalStaked).to.equal(0);
+            expect(stats.effectiveAPR).to.equal(500);
+            expect(stats.rewardRate).to.equal(0);
+            expect(stats.rewardRunway).to.equal(DAY * 30);
+
+            await time.increase(DAY * 100);
+            stats = await stakingLens.getPoolStats(poolId);
+            expect(stats.effectiveAPR).to.equal(0);
+            expect(stats.rewardRate).to.equal(0);
+            expect(stats.rewardRunway).to.equal(0);
+            expect(stats.owedRewards).to.equal(await stakingContract.owedRewards(poolId));
+
+            await expect(stakingLens.getPoolStats(5))
+                .to.be.revertedWithCustomError(stakingContract, "PoolNotExists");
+        });
+    });
+});
@@ -0,0 +1,159 @@
+const {
+    time,
+    loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { DAY, deployStakingContract, addPool, fundAccounts, applyChange } = require("./shared/fixtures");
+
+describe("StakingContract upgrades", function () {
+    const poolId = 0;
+
+    async function DeployStakingContract() {
+        const [admin, user1, user2, feeWallet] = await ethers.getSigners();
+
+        const stakingContract = await deployStakingContract();
+        const stakingToken = await ethers.deployContract("StakingToken");
+        const rewardingToken = await ethers.deployContract("RewardToken");
+
+        await applyChange(stakingContract, admin, "scheduleFeeWalletUpdate", [feeWallet.address]);
+
+        await addPool(stakingContract, { name: "USDT", stakingToken, rewardToken: rewardingToken, start: false });
+        await stakingContract.addLockTier(poolId, DAY * 30, 20000, 500);
+        await stakingContract.startStaking(poolId);
+
+        await fundAccounts(stakingContract, stakingToken, [user1, user2], ethers.parseEther("500"));
+        await stakingContract.connect(user1).stake(poolId, ethers.parseEther("200"));
+        await stakingContract.connect(user2).stakeLocked(poolId, ethers.parseEther("300"), 1);
+
+        await time.increase(DAY * 5);
+        await stakingContract.connect(user1).claimRewards(poolId);
+
+        return { stakingContract, stakingToken, rewardingToken, admin, user1, user2, feeWallet };
+    }
+
+    async function snapshot(stakingContract, users) {
+        return {
+            pools: await stakingContract.getPools(),
+            tiers: await stakingContract.getLockTiers(poolId),
+            funding: await stakingContract.poolFunding(poolId),
+            fees: await stakingContract.poolFees(poolId),
+            feeWallet: await stakingContract.feeWallet(),
+            positions: await Promise.all(users.map((user) => stakingContract.users(user.address, poolId))),
+        };
+    }
+
+    it("should keep pools and balances across an upgrade", async function () {
+        const { stakingContract, stakingToken, admin, user1, user2 } = await loadFixture(DeployStakingContract);
+        const proxyAddress = stakingContract.target;
+        const implementation = await upgrades.erc1967.getImplementationAddress(proxyAddress);
+
+        // pending rewards keep growing, everything else must come through unchanged
+        const before = await snapshot(stakingContract, [user1, user2]);
+        const pendingBefore = await stakingContract.viewRewards(user2.address, poolId);
+        const heldBefore = await stakingToken.balanceOf(proxyAddress);
+
+        const StakingContractV2 = await ethers.getContractFactory("StakingContractV2");
+        const next = await upgrades.prepareUpgrade(proxyAddress, StakingContractV2, { kind: "uups" });
+        await applyChange(stakingContract, admin, "scheduleUpgrade", [next]);
+        const upgraded = await upgrades.upgradeProxy(proxyAddress, StakingContractV2, {
+            kind: "uups",
+            call: "initializeV2",
+        });
+
+        expect(upgraded.target).to.equal(proxyAddress);
+        expect(await upgrades.erc1967.getImplementationAddress(proxyAddress)).to.equal(next);
+        expect(next).to.not.equal(implementation);
+        expect(await upgraded.version()).to.equal("2");
+        expect(await upgraded.upgradedAt()).to.equal(await time.latest());
+
+        expect(await snapshot(upgraded, [user1, user2])).to.deep.equal(before);
+        expect(await stakingToken.balanceOf(proxyAddress)).to.equal(heldBefore);
+        expect(await upgraded.viewRewards(user2.address, poolId)).to.be.gte(pendingBefore);
+        expect(await upgraded.hasRole(await upgraded.DEFAULT_ADMIN_ROLE(), admin)).to.equal(true);
+
+        // positions keep working on the new implementation
+        await time.increase(DAY * 100);
+        await expect(upgraded.connect(user2).unStake(poolId))
+            .to.emit(upgraded, "UnStaked")
+            .withArgs(user2.address, poolId, ethers.parseEther("300"), ethers.parseEther("300"));
+        await expect(upgraded.connect(user1).unStake(poolId))
+            .to.emit(upgraded, "UnStaked")
+            .withArgs(user1.address, poolId, ethers.parseEther("200"), ethers.parseEther("200"));
+        expect((await upgraded.pools(poolId)).totalStaked).to.equal(0);
+    });
+    it("should allow only the admin to upgrade", async function () {
+        const { stakingContract, user1 } = await loadFixture(DeployStakingContract);
+
+        const implementation = await ethers.deployContract("StakingContractV2");
+        await expect(stakingContract.connect(user1).upgradeTo(implementation))
+            .to.be.revertedWith(
+                `AccessControl: account ${user1.address.toLowerCase()} is missing role ${ethers.ZeroHash}`
+            );
+    });
+    it("should only upgrade to an implementation scheduled through the timelock", async function () {
+        const { stakingContract, admin } = await loadFixture(DeployStakingContract);
+        const implementation = await ethers.deployContract("StakingContractV2");
+        const other = await ethers.deployContract("StakingContractV2");
+
+        await expect(stakingContract.upgradeTo(implementation))
+            .to.be.revertedWithCustomError(stakingContract, "ChangeNotScheduled");
+
+        await applyChange(stakingContract, admin, "scheduleTimelockDelayUpdate", [DAY * 2]);
+        const tx = await stakingContract.scheduleUpgrade(implementation);
+        const changeId = (await stakingContract.scheduledChangeCount()) - 1n;
+        await expect(tx).to.emit(stakingContract, "ChangeScheduled")
+            .withArgs(changeId, 5, 0, 0, false, implementation.target, (await time.latest()) + DAY * 2);
+
+        // stakers get the delay to look at the new code before it runs
+        await expect(stakingContract.executeChange(changeId))
+            .to.be.revertedWithCustomError(stakingContract, "ChangeNotReady");
+        await time.increase(DAY * 2);
+        await stakingContract.executeChange(changeId);
+        expect(await stakingContract.upgradeImplementation()).to.equal(implementation.target);
+
+        await expect(stakingContract.upgradeTo(other))
+            .to.be.revertedWithCustomError(stakingContract, "ChangeNotScheduled");
+        await expect(stakingContract.upgradeTo(implementation))
+            .to.emit(stakingContract, "Upgraded")
+            .withArgs(implementation.target);
+
+        // the executed change allows one upgrade
+        const upgraded = await ethers.getContractAt("StakingContractV2", stakingContract.target);
+        expect(await upgraded.upgradeImplementation()).to.equal(ethers.ZeroAddress);
+        await expect(upgraded.upgradeTo(other))
+            .to.be.revertedWithCustomError(upgraded, "ChangeNotScheduled");
+    });
+    it("should not initialize twice or through the implementation", async function () {
+        const { stakingContract } = await loadFixture(DeployStakingContract);
+
+        await expect(stakingContract.initialize())
+            .to.be.revertedWith("Initializable: contract is already initialized");
+
+        const implementation = await ethers.getContractAt(
+            "StakingContract",
+            await upgrades.erc1967.getImplementationAddress(stakingContract.target)
+        );
+        await expect(implementation.initialize())
+            .to.be.revertedWith("Initializable: contract is already initialized");
+    });
+    it("should reject an upgrade that breaks the storage layout", async function () {
+        const { stakingContract } = await loadFixture(DeployStakingContract);
+
+        const BadLayout = await ethers.getContractFactory("StakingContractBadLayout");
+        let error;
+        try {
+            await upgrades.validateUpgrade(stakingContract.target, BadLayout, { kind: "uups" });
+        } catch (e) {
+            error = e;
+        }
+        expect(error, "validateUpgrade should fail").to.not.equal(undefined);
+        expect(error.message).to.match(/New storage layout is incompatible/);
+
+        await upgrades.validateUpgrade(
+            stakingContract.target,
+            await ethers.getContractFactory("StakingContractV2"),
+            { kind: "uups" }
+        );
+    });
+});
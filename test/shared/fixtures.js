@@ -0,0 +1,86 @@
+// Deployment helpers and constants shared by the test files, the building
+// blocks of the fixtures each file passes to loadFixture.
+const { ethers, upgrades } = require("hardhat");
+const { isNativeToken } = require("../../scripts/lib/tokens");
+
+const DAY = 86400;
+
+// Action enum of StakingContract
+const STAKE = 0;
+const CLAIM = 1;
+const UNSTAKE = 2;
+
+const DEFAULT_ADMIN_ROLE = ethers.ZeroHash;
+const POOL_MANAGER_ROLE = ethers.id("POOL_MANAGER_ROLE");
+const PAUSER_ROLE = ethers.id("PAUSER_ROLE");
+const TREASURY_ROLE = ethers.id("TREASURY_ROLE");
+
+function missingRole(account, role) {
+    return `AccessControl: account ${account.address.toLowerCase()} is missing role ${role}`;
+}
+
+async function deployStakingContract() {
+    const StakingContract = await ethers.getContractFactory("StakingContract");
+    return upgrades.deployProxy(StakingContract, [], { kind: "uups" });
+}
+
+// Adds a pool funded with budget of its reward token by the contract's
+// signer, sent as value for ETH rewards, and starts it unless start is false.
+// Returns the pool ID.
+async function addPool(stakingContract, {
+    name = "Pool",
+    apy = 10,
+    stakingToken,
+    rewardToken,
+    validity = DAY * 100,
+    budget = ethers.parseEther("1000"),
+    start = true,
+}) {
+    const native = isNativeToken(rewardToken.target || rewardToken);
+    if (!native) {
+        await rewardToken.approve(stakingContract.target, budget);
+    }
+    const poolId = await stakingContract.poolCount();
+    await stakingContract.addPool(name, apy, stakingToken, rewardToken, validity, budget, {
+        value: native ? budget : 0n,
+    });
+    if (start) {
+        await stakingContract.startStaking(poolId);
+    }
+    return Number(poolId);
+}
+
+// Sends amount of token to every account and approves the staking contract
+// to pull all of it
+async function fundAccounts(stakingContract, token, accounts, amount) {
+    for (const account of accounts) {
+        await token.transfer(account, amount);
+        await token.connect(account).approve(stakingContract.target, ethers.MaxUint256);
+    }
+}
+
+// Schedules a timelocked change and executes it right away, the timelock
+// delay is zero until it is raised
+async function applyChange(contract, signer, method, args) {
+    const receipt = await (await contract.connect(signer)[method](...args)).wait();
+    const scheduled = receipt.logs
+        .map((log) => contract.interface.parseLog(log))
+        .find((event) => event && event.name === "ChangeScheduled");
+    return contract.connect(signer).executeChange(scheduled.args.changeId);
+}
+
+module.exports = {
+    DAY,
+    STAKE,
+    CLAIM,
+    UNSTAKE,
+    DEFAULT_ADMIN_ROLE,
+    POOL_MANAGER_ROLE,
+    PAUSER_ROLE,
+    TREASURY_ROLE,
+    missingRole,
+    deployStakingContract,
+    addPool,
+    fundAccounts,
+    applyChange,
+};
@@ -0,0 +1,56 @@
+// Seeded pseudo random numbers for the property tests: the same seed always
+// gives the same sequence, so a failing run can be replayed from its seed.
+const crypto = require("crypto");
+
+// mulberry32, small and good enough to pick test actions
+function createRandom(seed) {
+    let state = seed >>> 0;
+
+    function next() {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    return {
+        next,
+        // integer between min and max, both included
+        int(min, max) {
+            return min + Math.floor(next() * (max - min + 1));
+        },
+        // bigint between 0 and max, both included
+        bigint(max) {
+            const scaled = BigInt(Math.floor(next() * 2 ** 52));
+            return (max * scaled) / BigInt(2 ** 52 - 1);
+        },
+        pick(items) {
+            return items[Math.floor(next() * items.length)];
+        },
+        chance(probability) {
+            return next() < probability;
+        },
+        // entries are [weight, value] pairs
+        weighted(entries) {
+            const total = entries.reduce((sum, [weight]) => sum + weight, 0);
+            let roll = next() * total;
+            for (const [weight, value] of entries) {
+                roll -= weight;
+                if (roll < 0) {
+                    return value;
+                }
+            }
+            return entries[entries.length - 1][1];
+        },
+    };
+}
+
+function randomSeed() {
+    return crypto.randomInt(2 ** 31);
+}
+
+module.exports = {
+    createRandom,
+    randomSeed,
+};